@@ -0,0 +1,275 @@
+/* Price and volume alerts (no external dependencies)
+ * - Rules per token, kept in localStorage "wst_alerts":
+ *     price_cross      price crosses `level` ("up", "down" or "either")
+ *     pct_change       price moves at least `pct`% (either way) within `minutes`
+ *     liquidity_below  liquidity falls below `usd`
+ *     volume_spike     5m volume is at least `multiple` × the 1h average per 5m
+ * - Checked on every market-data refresh (js/marketdata.js), whichever tab is open
+ * - Each rule has a cooldown in minutes; it cannot fire again until it has passed
+ * - Fires through the Notifications API (when permitted), an in-page toast, and a
+ *   "wst:alert" window event the terminal writes to its STREAM console
+ *
+ * Exposes window.WstAlerts = { TYPES, list, add, remove, setEnabled, describe,
+ *   notificationState, requestNotifications, start }.
+ */
+(function () {
+  "use strict";
+
+  const STORAGE_KEY = "wst_alerts";
+  const CHECK_INTERVAL_MS = 8000;
+  const DEFAULT_COOLDOWN_MIN = 15;
+  const TOAST_MS = 8000;
+
+  const TYPES = Object.freeze({
+    price_cross: "Price crosses",
+    pct_change: "% change within",
+    liquidity_below: "Liquidity below",
+    volume_spike: "Volume spike"
+  });
+
+  let rules = read();
+  let market = null;
+  const watching = new Map(); // input -> unsubscribe
+  const lastPrice = new Map(); // rule id -> price at the previous check
+  const recent = new Map(); // input -> [{ t, price }] for pct_change
+
+  function read() {
+    try {
+      const arr = JSON.parse(localStorage.getItem(STORAGE_KEY) || "[]");
+      return Array.isArray(arr) ? arr : [];
+    } catch (_) {
+      return [];
+    }
+  }
+
+  function write() {
+    try { localStorage.setItem(STORAGE_KEY, JSON.stringify(rules)); } catch (_) {}
+  }
+
+  function positive(v) {
+    const n = Number(v);
+    return isFinite(n) && n > 0 ? n : NaN;
+  }
+
+  function fmtUsd(n) {
+    const abs = Math.abs(n);
+    if (abs >= 1e6) return "$" + (n / 1e6).toFixed(2) + "M";
+    if (abs >= 1e3) return "$" + (n / 1e3).toFixed(2) + "K";
+    return "$" + n.toFixed(n < 1 ? 6 : 2);
+  }
+
+  function describe(rule) {
+    switch (rule.type) {
+      case "price_cross": {
+        const dir = rule.direction === "up" ? "rises above" : rule.direction === "down" ? "falls below" : "crosses";
+        return `Price ${dir} ${fmtUsd(rule.level)}`;
+      }
+      case "pct_change":
+        return `Price moves ${rule.pct}% within ${rule.minutes} min`;
+      case "liquidity_below":
+        return `Liquidity below ${fmtUsd(rule.usd)}`;
+      case "volume_spike":
+        return `5m volume ≥ ${rule.multiple}× the hourly pace`;
+      default:
+        return "Unknown rule";
+    }
+  }
+
+  // Validates and normalizes a rule draft. Returns { rule } or { error }.
+  function normalize(draft) {
+    const input = String(draft.input || "").trim();
+    if (!input) return { error: "Choose a token first." };
+    if (!TYPES[draft.type]) return { error: "Choose a rule type." };
+    const cooldown = Number(draft.cooldownMin);
+    const rule = {
+      id: Date.now().toString(36) + Math.random().toString(36).slice(2, 7),
+      input,
+      type: draft.type,
+      cooldownMin: isFinite(cooldown) && cooldown >= 0 ? cooldown : DEFAULT_COOLDOWN_MIN,
+      enabled: true,
+      lastFiredAt: 0
+    };
+    if (draft.type === "price_cross") {
+      rule.level = positive(draft.level);
+      rule.direction = ["up", "down"].includes(draft.direction) ? draft.direction : "either";
+      if (!isFinite(rule.level)) return { error: "Enter a price level above 0." };
+    } else if (draft.type === "pct_change") {
+      rule.pct = positive(draft.pct);
+      rule.minutes = positive(draft.minutes);
+      if (!isFinite(rule.pct)) return { error: "Enter a percentage above 0." };
+      if (!isFinite(rule.minutes) || rule.minutes < 1 || rule.minutes > 24 * 60) return { error: "Enter a window between 1 and 1440 minutes." };
+    } else if (draft.type === "liquidity_below") {
+      rule.usd = positive(draft.usd);
+      if (!isFinite(rule.usd)) return { error: "Enter a liquidity level above 0." };
+    } else if (draft.type === "volume_spike") {
+      rule.multiple = positive(draft.multiple);
+      if (!isFinite(rule.multiple) || rule.multiple < 1) return { error: "Enter a multiple of at least 1." };
+    }
+    return { rule };
+  }
+
+  // Returns a message when `rule` is triggered by `snap`, or "".
+  function evaluate(rule, snap, now) {
+    const price = snap.priceUsd;
+    if (rule.type === "price_cross") {
+      const prev = lastPrice.get(rule.id);
+      lastPrice.set(rule.id, price);
+      if (!isFinite(prev) || !isFinite(price)) return "";
+      const up = prev < rule.level && price >= rule.level;
+      const down = prev > rule.level && price <= rule.level;
+      if ((up && rule.direction !== "down") || (down && rule.direction !== "up")) {
+        return `${snap.symbol || "Price"} ${up ? "rose above" : "fell below"} ${fmtUsd(rule.level)} (now ${fmtUsd(price)})`;
+      }
+      return "";
+    }
+    if (rule.type === "pct_change") {
+      const since = now - rule.minutes * 60 * 1000;
+      const base = (recent.get(rule.input) || []).find((s) => s.t >= since);
+      if (!base || !isFinite(price) || !(base.price > 0) || now - base.t < 1000) return "";
+      const change = ((price - base.price) / base.price) * 100;
+      if (Math.abs(change) < rule.pct) return "";
+      const secs = Math.round((now - base.t) / 1000);
+      const took = secs < 90 ? secs + "s" : Math.round(secs / 60) + " min";
+      return `${snap.symbol || "Price"} ${change > 0 ? "up" : "down"} ${Math.abs(change).toFixed(2)}% in ${took} (now ${fmtUsd(price)})`;
+    }
+    if (rule.type === "liquidity_below") {
+      const liq = snap.liquidityUsd;
+      return isFinite(liq) && liq < rule.usd ? `${snap.symbol || "Pool"} liquidity ${fmtUsd(liq)} is below ${fmtUsd(rule.usd)}` : "";
+    }
+    if (rule.type === "volume_spike") {
+      const m5 = snap.volume.m5;
+      const pace = snap.volume.h1 / 12;
+      if (!(m5 > 0) || !(pace > 0)) return "";
+      const ratio = m5 / pace;
+      return ratio >= rule.multiple ? `${snap.symbol || "Volume"} 5m volume ${fmtUsd(m5)} is ${ratio.toFixed(1)}× the hourly pace` : "";
+    }
+    return "";
+  }
+
+  function remember(input, snap, now) {
+    const longest = rules.reduce((m, r) => (r.input === input && r.type === "pct_change" ? Math.max(m, r.minutes) : m), 0);
+    const list = recent.get(input) || [];
+    const last = list[list.length - 1];
+    if (isFinite(snap.priceUsd) && (!last || last.t < now)) list.push({ t: now, price: snap.priceUsd });
+    const cutoff = now - longest * 60 * 1000;
+    while (list.length && list[0].t < cutoff) list.shift();
+    recent.set(input, list);
+  }
+
+  function toast(title, body) {
+    let host = document.getElementById("wstToasts");
+    if (!host) {
+      host = document.createElement("div");
+      host.id = "wstToasts";
+      host.className = "wst-toasts";
+      host.setAttribute("role", "status");
+      host.setAttribute("aria-live", "polite");
+      document.body.appendChild(host);
+    }
+    const el = document.createElement("div");
+    el.className = "wst-toast";
+    const head = document.createElement("strong");
+    head.textContent = title;
+    const text = document.createElement("div");
+    text.textContent = body;
+    el.append(head, text);
+    el.addEventListener("click", () => el.remove());
+    host.prepend(el);
+    setTimeout(() => el.remove(), TOAST_MS);
+  }
+
+  function fire(rule, message, snap) {
+    const title = "Wan Shi Tong alert" + (snap.symbol ? " · " + snap.symbol : "");
+    if (notificationState() === "granted") {
+      try { new Notification(title, { body: message, tag: "wst-alert-" + rule.id }); } catch (_) {}
+    }
+    toast(title, message);
+    window.dispatchEvent(new CustomEvent("wst:alert", { detail: { rule, message, snapshot: snap } }));
+  }
+
+  function check(input, view) {
+    const snap = view.data;
+    if (!snap || view.error) return;
+    const now = view.updatedAt || Date.now();
+    let changed = false;
+    rules.forEach((rule) => {
+      if (rule.input !== input || !rule.enabled) return;
+      const message = evaluate(rule, snap, now);
+      if (!message || (rule.lastFiredAt && now - rule.lastFiredAt < rule.cooldownMin * 60 * 1000)) return;
+      rule.lastFiredAt = now;
+      changed = true;
+      fire(rule, message, snap);
+    });
+    remember(input, snap, now);
+    if (changed) write();
+  }
+
+  // Keeps exactly one market-data subscription per token that has an enabled rule.
+  function sync() {
+    if (!market) return;
+    const inputs = new Set(rules.filter((r) => r.enabled).map((r) => r.input));
+    watching.forEach((unsub, input) => {
+      if (inputs.has(input)) return;
+      unsub();
+      watching.delete(input);
+      recent.delete(input);
+    });
+    inputs.forEach((input) => {
+      if (watching.has(input)) return;
+      watching.set(input, market.subscribe(input, (view) => check(input, view), { interval: CHECK_INTERVAL_MS }));
+    });
+  }
+
+  function list(input) {
+    return rules.filter((r) => input === undefined || r.input === input).map((r) => ({ ...r }));
+  }
+
+  function add(draft) {
+    const res = normalize(draft);
+    if (res.error) return res;
+    rules.push(res.rule);
+    write();
+    sync();
+    return res;
+  }
+
+  function remove(id) {
+    rules = rules.filter((r) => r.id !== id);
+    lastPrice.delete(id);
+    write();
+    sync();
+  }
+
+  function setEnabled(id, enabled) {
+    rules.forEach((r) => {
+      if (r.id === id) r.enabled = !!enabled;
+    });
+    lastPrice.delete(id);
+    write();
+    sync();
+  }
+
+  function notificationState() {
+    return typeof Notification === "undefined" ? "unsupported" : Notification.permission;
+  }
+
+  // Must be called from a user gesture; resolves to the resulting permission.
+  async function requestNotifications() {
+    if (notificationState() !== "default") return notificationState();
+    try { return await Notification.requestPermission(); } catch (_) { return notificationState(); }
+  }
+
+  // Starts checking rules against `marketData` (normally WstMarketData.shared).
+  function start(marketData) {
+    market = marketData;
+    sync();
+  }
+
+  window.addEventListener("storage", (e) => {
+    if (e.key !== STORAGE_KEY) return;
+    rules = read();
+    sync();
+  });
+
+  window.WstAlerts = { TYPES, list, add, remove, setEnabled, describe, notificationState, requestNotifications, start };
+})();
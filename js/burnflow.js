@@ -0,0 +1,117 @@
+/* Burn-flow estimation model (no external dependencies)
+ * - burn per day ≈ rate × volume, with volume taken from the 1h, 6h or 24h window
+ *   and scaled to a day (1h × 24, 6h × 4, 24h × 1)
+ * - Cumulative projections over 7 and 30 days at the current pace
+ * - Optional comparison with the supply actually burned (initial − current supply)
+ * - Per-token settings kept in localStorage "wst_burnflow"
+ *
+ * Exposes window.WstBurnFlow = { DEFAULTS, WINDOWS, estimate, compareSupply, describe,
+ *   settingsFor, saveSettings }.
+ */
+(function () {
+  "use strict";
+
+  const STORAGE_KEY = "wst_burnflow";
+
+  // 0.5% of 24h volume: the figure the terminal has always shown.
+  const DEFAULTS = Object.freeze({ rate: 0.005, window: "h24" });
+
+  const WINDOWS = Object.freeze({
+    h1: { label: "1h", perDay: 24 },
+    h6: { label: "6h", perDay: 4 },
+    h24: { label: "24h", perDay: 1 }
+  });
+
+  const PROJECTION_DAYS = [7, 30];
+
+  function normalize(settings) {
+    const s = settings || {};
+    const rate = Number(s.rate);
+    const out = {
+      rate: isFinite(rate) && rate >= 0 && rate <= 1 ? rate : DEFAULTS.rate,
+      window: WINDOWS[s.window] ? s.window : DEFAULTS.window
+    };
+    const initial = Number(s.initialSupply);
+    const current = Number(s.currentSupply);
+    if (isFinite(initial) && initial > 0) out.initialSupply = initial;
+    if (isFinite(current) && current >= 0) out.currentSupply = current;
+    return out;
+  }
+
+  /**
+   * Estimates burn flow from a market-data snapshot (see js/marketdata.js).
+   * Returns { rate, window, volume, perDayUsd, perDayTokens, projections: [{ days, usd, tokens }] }.
+   * Missing volume or price yields NaN figures rather than zeros.
+   */
+  function estimate(snapshot, settings) {
+    const s = normalize(settings);
+    const volume = Number(snapshot && snapshot.volume && snapshot.volume[s.window]);
+    const price = Number(snapshot && snapshot.priceUsd);
+    const perDayUsd = s.rate * volume * WINDOWS[s.window].perDay;
+    const perDayTokens = price > 0 ? perDayUsd / price : NaN;
+    return {
+      rate: s.rate,
+      window: s.window,
+      volume,
+      perDayUsd,
+      perDayTokens,
+      projections: PROJECTION_DAYS.map((days) => ({
+        days,
+        usd: perDayUsd * days,
+        tokens: perDayTokens * days
+      }))
+    };
+  }
+
+  /**
+   * Compares an estimate with what was actually burned, when the settings carry
+   * both supply figures. Returns null otherwise.
+   * `daysOfFlow` is how many days at the estimated pace the actual burn represents.
+   */
+  function compareSupply(est, settings, priceUsd) {
+    const s = normalize(settings);
+    if (s.initialSupply === undefined || s.currentSupply === undefined) return null;
+    const burnedTokens = Math.max(0, s.initialSupply - s.currentSupply);
+    const price = Number(priceUsd);
+    return {
+      burnedTokens,
+      burnedPct: burnedTokens / s.initialSupply,
+      burnedUsd: price > 0 ? burnedTokens * price : NaN,
+      daysOfFlow: est.perDayTokens > 0 ? burnedTokens / est.perDayTokens : NaN
+    };
+  }
+
+  // One line naming the assumptions behind an estimate, for display next to it.
+  function describe(est) {
+    const w = WINDOWS[est.window];
+    const pct = +(est.rate * 100).toFixed(4) + "%";
+    return w.perDay === 1
+      ? `burnFlow ≈ ${pct} × ${w.label} volume`
+      : `burnFlow ≈ ${pct} × ${w.label} volume × ${w.perDay} per day`;
+  }
+
+  function readAll() {
+    try {
+      const all = JSON.parse(localStorage.getItem(STORAGE_KEY) || "{}");
+      return all && typeof all === "object" ? all : {};
+    } catch (_) {
+      return {};
+    }
+  }
+
+  // Settings for one token (mint or pair, as the user entered it), with defaults filled in.
+  function settingsFor(token) {
+    return normalize(readAll()[String(token || "").trim()]);
+  }
+
+  function saveSettings(token, settings) {
+    const all = readAll();
+    const key = String(token || "").trim();
+    if (!key) return normalize(settings);
+    all[key] = normalize(settings);
+    try { localStorage.setItem(STORAGE_KEY, JSON.stringify(all)); } catch (_) {}
+    return all[key];
+  }
+
+  window.WstBurnFlow = { DEFAULTS, WINDOWS, estimate, compareSupply, describe, settingsFor, saveSettings };
+})();
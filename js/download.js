@@ -0,0 +1,26 @@
+/* File downloads (no external dependencies)
+ * - Saves a Blob under a file name through a temporary object URL, released a second later
+ * - Shared by every export on the page: PFP Forge images and projects, the price history
+ *   CSV, the watchlist, the Receipt Vault and its cards, and the 3D captures
+ *
+ * Exposes window.WstDownload = { downloadBlob, downloadText }.
+ */
+(function () {
+  "use strict";
+
+  function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = filename;
+    a.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  // `type` is the MIME type, e.g. "text/csv" or "application/json".
+  function downloadText(text, filename, type) {
+    downloadBlob(new Blob([text], { type }), filename);
+  }
+
+  window.WstDownload = { downloadBlob, downloadText };
+})();
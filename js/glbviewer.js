@@ -1,22 +1,61 @@
 // Wan Shi Tong GLB Viewer (Three.js)
-// Lightweight, reliable GLB viewer for Netlify static deploys.
-// Exposes initWanShiViewer({canvasId,statusId,glbPath})
+// Lightweight, reliable GLB/glTF viewer for Netlify static deploys.
+// The Three.js path of js/modelviewer.js, which imports this module on demand:
+// if unpkg is unreachable the import fails and the raw WebGL OBJ viewer is used instead.
+// Expression states (from js/modelviewer.js) are whole-model transforms, as the owl has no
+// skeleton: it turns to face the viewer, tilts, swells slightly wider and its eyes light up.
+// A GLB's own animation clips play through an AnimationMixer; models/wan_shi_tong.glb has
+// none, so for it only the transforms run.
+// Capture hooks for js/modelcapture.js: snapshot, camera pose, and holding the model's turn.
+// Touch: OrbitControls' one-finger rotate and two-finger pinch/pan, plus a two-finger twist
+// to turn. Camera moves, pausing and the idle spin switch are exposed for js/modelviewer.js,
+// which adds keyboard control, reduced motion and off-screen pausing.
+// Exports createGlbViewer(canvas, { src, pose, eyes, onStatus }).
 
 import * as THREE from "https://unpkg.com/three@0.160.0/build/three.module.js";
 import { GLTFLoader } from "https://unpkg.com/three@0.160.0/examples/jsm/loaders/GLTFLoader.js";
 import { OrbitControls } from "https://unpkg.com/three@0.160.0/examples/jsm/controls/OrbitControls.js";
 
-function safeText(id, msg) {
-  const el = document.getElementById(id);
-  if (el) el.textContent = msg;
+// Where the eyes sit, as fractions of the model's bounding box from its centre
+// (+z is the face). Measured on models/wan_shi_tong.glb.
+const EYES = { x: 0.055, y: 0.325, z: 0.48 };
+const EYE_COLOR = 0xff3b2f;
+const SPIN_PER_S = 0.09; // idle turntable, radians per second
+const FACE_S = 0.15; // how quickly the model turns to face the viewer
+const CLIP_FADE_S = 0.5;
+
+const STILL = {
+  update: () => ({ spin: 1, tilt: 0, glow: 0, swell: 0 }),
+  onChange: () => () => {}
+};
+
+// A soft round dot for the eye glow sprites.
+function glowTexture() {
+  const c = document.createElement("canvas");
+  c.width = c.height = 64;
+  const ctx = c.getContext("2d");
+  const g = ctx.createRadialGradient(32, 32, 0, 32, 32, 32);
+  g.addColorStop(0, "rgba(255,255,255,1)");
+  g.addColorStop(0.25, "rgba(255,255,255,0.8)");
+  g.addColorStop(1, "rgba(255,255,255,0)");
+  ctx.fillStyle = g;
+  ctx.fillRect(0, 0, 64, 64);
+  return new THREE.CanvasTexture(c);
 }
 
-export function initWanShiViewer(opts) {
-  const canvas = document.getElementById(opts.canvasId);
-  if (!canvas) {
-    safeText(opts.statusId, "3D viewer error: canvas not found.");
-    return;
-  }
+// The clip for a state: one named exactly after it, else one whose name contains it.
+function clipFor(clips, name) {
+  const n = name.toLowerCase();
+  return clips.find((c) => c.name.toLowerCase() === n) || clips.find((c) => c.name.toLowerCase().includes(n)) || null;
+}
+
+// Resolves to a controller { kind, canvas, resetView, destroy, clips, playClip, getPose,
+// setPose, getYaw, holdYaw, snapshot, orbit, dolly, pan, setRunning, setIdleSpin } once
+// the model is on screen; rejects (after cleaning up) when it cannot be loaded.
+export function createGlbViewer(canvas, opts) {
+  const onStatus = opts.onStatus || (() => {});
+  const pose = opts.pose || STILL;
+  const eyes = { ...EYES, ...opts.eyes };
 
   const renderer = new THREE.WebGLRenderer({ canvas, antialias: true, alpha: true });
   renderer.setPixelRatio(Math.min(window.devicePixelRatio || 1, 2));
@@ -43,7 +82,7 @@ export function initWanShiViewer(opts) {
   controls.zoomSpeed = 0.85;
   controls.minDistance = 0.6;
   controls.maxDistance = 12;
-  controls.enablePan = false;
+  controls.enablePan = true;
 
   // Resize to CSS size
   function resize() {
@@ -57,82 +96,347 @@ export function initWanShiViewer(opts) {
   resize();
   window.addEventListener("resize", resize);
 
+  // The model hangs centred inside `pivot`, which is what turns, tilts and swells.
+  const pivot = new THREE.Group();
+  pivot.rotation.order = "YXZ";
+  scene.add(pivot);
+
   let model = null;
   let baseCam = null;
   let baseTarget = null;
+  let frame = 0;
+  let mixer = null;
+  let clips = [];
+  let action = null; // the clip currently playing, if any
+  let unlisten = () => {};
+  const glowing = []; // { material, base } for the emissive tint
+  const eyeSprites = [];
+  let eyeLight = null;
+  const clock = new THREE.Clock();
+  let spinPaused = false; // after setPose(), until the visitor moves the camera
+  let idleSpin = true; // off for prefers-reduced-motion
+  let running = true;
+  let heldYaw = null; // set by holdYaw() for turntable recording
+  let homeDistance = 1;
 
-  const loader = new GLTFLoader();
-  const glbPath = opts.glbPath || "models/wan_shi_tong.glb";
-  safeText(opts.statusId, "Loading 3D model...");
-
-  loader.load(
-    glbPath,
-    (gltf) => {
-      model = gltf.scene;
-      scene.add(model);
-
-      // Improve materials (ensure correct color space)
-      model.traverse((o) => {
-        if (o.isMesh && o.material) {
-          if (o.material.map) o.material.map.colorSpace = THREE.SRGBColorSpace;
-          o.castShadow = false;
-          o.receiveShadow = false;
-        }
-      });
+  controls.addEventListener("start", () => { spinPaused = false; });
 
-      // Center + frame camera
-      const box = new THREE.Box3().setFromObject(model);
-      const center = box.getCenter(new THREE.Vector3());
-      const size = box.getSize(new THREE.Vector3());
-      const maxDim = Math.max(size.x, size.y, size.z);
-
-      // Recenter model at origin
-      model.position.sub(center);
-
-      // Frame camera distance based on FOV
-      const fov = camera.fov * (Math.PI / 180);
-      let dist = Math.abs((maxDim / 2) / Math.tan(fov / 2));
-      dist *= 1.55;
-
-      // Slightly lift camera to show face
-      camera.position.set(0, Math.max(0.15, maxDim * 0.12), dist);
-      controls.target.set(0, 0, 0);
-      controls.update();
-
-      baseCam = camera.position.clone();
-      baseTarget = controls.target.clone();
-
-      safeText(opts.statusId, "Loaded. Drag to rotate • scroll to zoom • double‑click to reset.");
-    },
-    (xhr) => {
-      if (xhr && xhr.total) {
-        const pct = Math.round((xhr.loaded / xhr.total) * 100);
-        safeText(opts.statusId, `Loading 3D model... ${pct}%`);
-      }
-    },
-    (err) => {
-      console.error("GLB load error:", err);
-      safeText(opts.statusId, "Failed to load 3D model. Check file path and deploy folder structure.");
-    }
-  );
-
-  // Double-click reset
-  canvas.addEventListener("dblclick", () => {
+  function resetView() {
     if (!baseCam || !baseTarget) return;
     camera.position.copy(baseCam);
     controls.target.copy(baseTarget);
     controls.update();
-  });
+    spinPaused = false;
+  }
+
+  // Double-click reset
+  canvas.addEventListener("dblclick", resetView);
+
+  // Cross-fades to `clip` from whatever was playing. Returns false if there is no such clip.
+  function play(clip, { loop = true, fade = CLIP_FADE_S } = {}) {
+    if (!clip || !mixer) return false;
+    const next = mixer.clipAction(clip);
+    next.reset();
+    next.setLoop(loop ? THREE.LoopRepeat : THREE.LoopOnce, Infinity);
+    next.clampWhenFinished = !loop;
+    next.enabled = true;
+    if (action && action !== next) next.crossFadeFrom(action, fade, true);
+    else next.fadeIn(fade);
+    next.play();
+    action = next;
+    return true;
+  }
+
+  function playClip(name, options) {
+    return play(clips.find((c) => c.name === name), options);
+  }
+
+  // Plays the state's own clip when the file has one; otherwise lets the current clip go.
+  function onState(state) {
+    if (play(clipFor(clips, state))) return;
+    if (action) {
+      action.fadeOut(CLIP_FADE_S);
+      action = null;
+    }
+  }
+
+  function applyPose(p, dt) {
+    // Spin while idle; otherwise turn (the shortest way) to face the camera.
+    const toCamera = Math.atan2(camera.position.x - controls.target.x, camera.position.z - controls.target.z);
+    let yaw = pivot.rotation.y + (spinPaused || !idleSpin ? 0 : SPIN_PER_S * dt * p.spin);
+    const off = Math.atan2(Math.sin(toCamera - yaw), Math.cos(toCamera - yaw));
+    yaw += off * (1 - p.spin) * (1 - Math.exp(-dt / FACE_S));
+    pivot.rotation.y = heldYaw === null ? yaw : heldYaw;
+    pivot.rotation.x = p.tilt;
+    pivot.scale.set(1 + 0.15 * p.swell, 1 + 0.03 * p.swell, 1);
+
+    eyeSprites.forEach((s) => { s.material.opacity = p.glow; });
+    if (eyeLight) eyeLight.intensity = p.glow * 3;
+    glowing.forEach(({ material, base }) => {
+      material.emissive.setRGB(base.r + p.glow * 0.25, base.g + p.glow * 0.03, base.b + p.glow * 0.02);
+    });
+  }
 
   // Render loop
   function animate() {
-    requestAnimationFrame(animate);
+    frame = requestAnimationFrame(animate);
+    const dt = Math.min(clock.getDelta(), 0.1);
     controls.update();
-    if (model) model.rotation.y += 0.0015; // subtle idle
+    if (mixer) mixer.update(dt);
+    if (model) applyPose(pose.update(dt), dt);
     renderer.render(scene, camera);
   }
-  animate();
-}
 
-// Make it accessible to the existing inline bootstrapper
-window.initWanShiViewer = initWanShiViewer;
+  // Camera moves for keyboard and twist input; pan is in screen pixels like a drag.
+  function orbit(dTheta, dPhi) {
+    const offset = camera.position.clone().sub(controls.target);
+    const sph = new THREE.Spherical().setFromVector3(offset);
+    sph.theta += dTheta;
+    sph.phi = Math.max(0.05, Math.min(Math.PI - 0.05, sph.phi + dPhi));
+    camera.position.copy(controls.target).add(offset.setFromSpherical(sph));
+    controls.update();
+  }
+
+  function dolly(factor) {
+    const offset = camera.position.clone().sub(controls.target);
+    const radius = Math.max(controls.minDistance, Math.min(controls.maxDistance, offset.length() * factor));
+    camera.position.copy(controls.target).add(offset.setLength(radius));
+    controls.update();
+  }
+
+  function pan(dx, dy) {
+    const speed = 0.0025 * camera.position.distanceTo(controls.target);
+    const move = new THREE.Vector3().setFromMatrixColumn(camera.matrix, 0).multiplyScalar(-dx * speed)
+      .add(new THREE.Vector3().setFromMatrixColumn(camera.matrix, 1).multiplyScalar(dy * speed));
+    camera.position.add(move);
+    controls.target.add(move);
+    controls.update();
+  }
+
+  // Two-finger twist turns the camera around the model; OrbitControls handles pinch and pan.
+  const touches = new Map(); // pointerId -> { x, y }
+  let twistAngle = null;
+
+  function touchAngle() {
+    const [a, b] = Array.from(touches.values());
+    return Math.atan2(b.y - a.y, b.x - a.x);
+  }
+
+  function onTouchDown(e) {
+    if (e.pointerType !== "touch") return;
+    touches.set(e.pointerId, { x: e.clientX, y: e.clientY });
+    twistAngle = touches.size === 2 ? touchAngle() : null;
+  }
+
+  function onTouchMove(e) {
+    const t = touches.get(e.pointerId);
+    if (!t) return;
+    t.x = e.clientX;
+    t.y = e.clientY;
+    if (twistAngle === null || touches.size !== 2) return;
+    const angle = touchAngle();
+    orbit(-(angle - twistAngle), 0);
+    twistAngle = angle;
+  }
+
+  function onTouchUp(e) {
+    touches.delete(e.pointerId);
+    twistAngle = null;
+  }
+
+  canvas.addEventListener("pointerdown", onTouchDown);
+  canvas.addEventListener("pointermove", onTouchMove);
+  canvas.addEventListener("pointerup", onTouchUp);
+  canvas.addEventListener("pointercancel", onTouchUp);
+
+  // Stops and restarts the render loop (e.g. while the canvas is off-screen).
+  function setRunning(on) {
+    if (on === running) return;
+    running = on;
+    cancelAnimationFrame(frame);
+    if (on && model) {
+      clock.getDelta(); // don't count the pause as one long frame
+      animate();
+    }
+  }
+
+  function wrapAngle(a) {
+    return Math.atan2(Math.sin(a), Math.cos(a));
+  }
+
+  // { azimuth, polar, zoom }: the camera's angle around the model relative to its face,
+  // its angle from straight above, and its distance as a multiple of the framed distance.
+  function getPose() {
+    const sph = new THREE.Spherical().setFromVector3(camera.position.clone().sub(controls.target));
+    return { azimuth: wrapAngle(sph.theta - pivot.rotation.y), polar: sph.phi, zoom: sph.radius / homeDistance };
+  }
+
+  // Moves the camera to `pose` and stops the idle turn until the visitor takes over.
+  function setPose(pose) {
+    const radius = Math.max(controls.minDistance, Math.min(controls.maxDistance, pose.zoom * homeDistance));
+    const sph = new THREE.Spherical(radius, pose.polar, pose.azimuth + pivot.rotation.y);
+    camera.position.copy(controls.target).add(new THREE.Vector3().setFromSpherical(sph));
+    controls.update();
+    spinPaused = true;
+  }
+
+  function holdYaw(angle) {
+    heldYaw = angle === null || angle === undefined ? null : angle;
+  }
+
+  // Renders one frame at `scale` × the on-screen resolution (at most 4096px a side) and
+  // resolves to it as a transparent PNG.
+  function snapshot(scale = 2) {
+    const size = renderer.getSize(new THREE.Vector2());
+    const ratio = Math.min(scale * renderer.getPixelRatio(), 4096 / Math.max(size.x, size.y));
+    const prev = renderer.getPixelRatio();
+    renderer.setPixelRatio(ratio);
+    renderer.render(scene, camera);
+    // toBlob copies the drawing buffer now, before the browser clears it.
+    const blob = new Promise((resolve) => canvas.toBlob(resolve, "image/png"));
+    renderer.setPixelRatio(prev);
+    return blob;
+  }
+
+  function destroy() {
+    running = false;
+    cancelAnimationFrame(frame);
+    unlisten();
+    canvas.removeEventListener("pointerdown", onTouchDown);
+    canvas.removeEventListener("pointermove", onTouchMove);
+    canvas.removeEventListener("pointerup", onTouchUp);
+    canvas.removeEventListener("pointercancel", onTouchUp);
+    if (mixer) mixer.stopAllAction();
+    window.removeEventListener("resize", resize);
+    canvas.removeEventListener("dblclick", resetView);
+    controls.dispose();
+    scene.traverse((o) => {
+      if (o.isSprite) {
+        o.material.map.dispose();
+        o.material.dispose();
+      }
+      if (!o.isMesh) return;
+      o.geometry.dispose();
+      [].concat(o.material).forEach((m) => {
+        if (m.map) m.map.dispose();
+        m.dispose();
+      });
+    });
+    renderer.dispose();
+  }
+
+  const loader = new GLTFLoader();
+  const src = opts.src || "models/wan_shi_tong.glb";
+  onStatus("Loading 3D model...");
+
+  return new Promise((resolve, reject) => {
+    loader.load(
+      src,
+      (gltf) => {
+        model = gltf.scene;
+        pivot.add(model);
+
+        // Improve materials (ensure correct color space)
+        model.traverse((o) => {
+          if (o.isMesh && o.material) {
+            if (o.material.map) o.material.map.colorSpace = THREE.SRGBColorSpace;
+            o.castShadow = false;
+            o.receiveShadow = false;
+            [].concat(o.material).forEach((m) => {
+              if (m.emissive) glowing.push({ material: m, base: m.emissive.clone() });
+            });
+          }
+        });
+
+        // Center + frame camera
+        const box = new THREE.Box3().setFromObject(model);
+        const center = box.getCenter(new THREE.Vector3());
+        const size = box.getSize(new THREE.Vector3());
+        const maxDim = Math.max(size.x, size.y, size.z);
+
+        // Recenter model at origin
+        model.position.sub(center);
+
+        // Glowing eyes: two additive sprites and a red light between them, in model space.
+        const map = glowTexture();
+        const eyeAt = (side) => new THREE.Vector3(
+          center.x + side * eyes.x * size.x,
+          center.y + eyes.y * size.y,
+          center.z + eyes.z * size.z
+        );
+        [-1, 1].forEach((side) => {
+          const sprite = new THREE.Sprite(new THREE.SpriteMaterial({
+            map,
+            color: EYE_COLOR,
+            blending: THREE.AdditiveBlending,
+            transparent: true,
+            depthWrite: false,
+            opacity: 0
+          }));
+          sprite.position.copy(eyeAt(side));
+          sprite.scale.setScalar(maxDim * 0.07);
+          model.add(sprite);
+          eyeSprites.push(sprite);
+        });
+        eyeLight = new THREE.PointLight(EYE_COLOR, 0, maxDim * 1.5, 1);
+        eyeLight.position.copy(eyeAt(0)).add(new THREE.Vector3(0, 0, maxDim * 0.1));
+        model.add(eyeLight);
+
+        // Embedded clips: the idle one (if any) starts right away.
+        clips = gltf.animations || [];
+        if (clips.length) {
+          mixer = new THREE.AnimationMixer(model);
+          onState("idle");
+        }
+        unlisten = pose.onChange(onState);
+
+        // Frame camera distance based on FOV
+        const fov = camera.fov * (Math.PI / 180);
+        let dist = Math.abs((maxDim / 2) / Math.tan(fov / 2));
+        dist *= 1.55;
+
+        // Slightly lift camera to show face
+        camera.position.set(0, Math.max(0.15, maxDim * 0.12), dist);
+        controls.target.set(0, 0, 0);
+        controls.update();
+
+        baseCam = camera.position.clone();
+        baseTarget = controls.target.clone();
+        homeDistance = baseCam.distanceTo(baseTarget);
+
+        clock.start();
+        if (running) animate();
+        onStatus("Loaded. Drag to rotate • scroll or pinch to zoom • arrow keys and +/- work too • double‑click to reset.");
+        resolve({
+          kind: "three",
+          canvas,
+          resetView,
+          destroy,
+          clips: () => clips.map((c) => c.name),
+          playClip,
+          getPose,
+          setPose,
+          getYaw: () => pivot.rotation.y,
+          holdYaw,
+          snapshot,
+          orbit,
+          dolly,
+          pan,
+          setRunning,
+          setIdleSpin: (on) => { idleSpin = !!on; }
+        });
+      },
+      (xhr) => {
+        if (xhr && xhr.total) {
+          const pct = Math.round((xhr.loaded / xhr.total) * 100);
+          onStatus(`Loading 3D model... ${pct}%`);
+        }
+      },
+      (err) => {
+        console.error("GLB load error:", err);
+        destroy();
+        reject(new Error("Failed to load 3D model. Check file path and deploy folder structure."));
+      }
+    );
+  });
+}
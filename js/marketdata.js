@@ -0,0 +1,298 @@
+/* Shared client-side market data (no external dependencies)
+ * - One feed per token/pair input, shared by every view that subscribes to it
+ * - Request de-duplication and a short TTL cache in front of the data source
+ * - Exponential backoff on rate limits (429, the whole source), server errors and network
+ *   failures (that request only); honours Retry-After. Other errors, such as a 404 for an
+ *   unknown token, are not backed off
+ * - Feed status: "live", "stale" (last good data is getting old) or "offline"
+ * - Pluggable source; dexScreenerSource({ baseUrl }) can point at a local fixture server
+ *
+ * Exposes window.WstMarketData = { createMarketData, dexScreenerSource, shared }.
+ * `shared` reads its base URL from localStorage "wst_market_api" when set. Without a window
+ * (node, for test/marketdata.test.js) the same object is set on globalThis instead.
+ */
+(function (root) {
+  "use strict";
+
+  const DEX_API = "https://api.dexscreener.com";
+  const BASE_BACKOFF_MS = 2000;
+  const MAX_BACKOFF_MS = 5 * 60 * 1000;
+  const WHOLE_SOURCE = "*"; // backoff key for a rate limit, which covers every request
+
+  // Retry-After is either seconds or an HTTP date; returns seconds (0 when absent).
+  function retryAfterSeconds(value) {
+    if (!value) return 0;
+    const seconds = Number(value);
+    if (isFinite(seconds)) return Math.max(0, seconds);
+    const at = Date.parse(value);
+    return isFinite(at) ? Math.max(0, Math.ceil((at - Date.now()) / 1000)) : 0;
+  }
+
+  function httpError(r) {
+    const err = new Error("HTTP " + r.status);
+    err.status = r.status;
+    err.retryAfter = retryAfterSeconds(r.headers.get("Retry-After"));
+    return err;
+  }
+
+  // Rate limits, server errors and failed fetches are worth waiting out; a 4xx or a reply
+  // that does not parse will not get better by waiting. fetch() rejects with a TypeError
+  // when the network fails.
+  function shouldBackOff(err) {
+    if (err && err.status) return err.status === 429 || err.status >= 500;
+    return !!err && err.name === "TypeError";
+  }
+
+  // A source answers two questions: what is this pair doing, and which pairs
+  // trade this token. Anything with the same two methods can stand in for it.
+  function dexScreenerSource(opts = {}) {
+    const base = (opts.baseUrl || DEX_API).replace(/\/+$/, "");
+    const fetchImpl = opts.fetch || ((url, init) => fetch(url, init));
+
+    async function getJson(path) {
+      const r = await fetchImpl(base + path, { cache: "no-store" });
+      if (!r.ok) throw httpError(r);
+      return await r.json();
+    }
+
+    return {
+      name: "dexscreener",
+
+      async pair(address) {
+        const d = await getJson("/latest/dex/pairs/solana/" + encodeURIComponent(address));
+        return (d && d.pairs && d.pairs[0]) || (d && d.pair) || null;
+      },
+
+      async pairsForToken(mint) {
+        const d = await getJson("/latest/dex/tokens/" + encodeURIComponent(mint));
+        if (d && Array.isArray(d.pairs) && d.pairs.length) return d.pairs;
+        // Older endpoint that still answers for some mints.
+        const list = await getJson("/token-pairs/v1/solana/" + encodeURIComponent(mint));
+        return Array.isArray(list) ? list : [];
+      }
+    };
+  }
+
+  // Flattens a DexScreener pair into the fields the views use. `fetchedAt` is when the
+  // source answered, so every view handed the same response sees the same time.
+  function toSnapshot(p, fetchedAt) {
+    const num = (v) => (v === undefined || v === null || v === "" ? NaN : Number(v));
+    return {
+      pairAddress: p.pairAddress,
+      url: p.url || ("https://dexscreener.com/solana/" + p.pairAddress),
+      symbol: (p.baseToken && p.baseToken.symbol) || "",
+      name: (p.baseToken && p.baseToken.name) || "",
+      mint: (p.baseToken && p.baseToken.address) || "",
+      priceUsd: num(p.priceUsd),
+      priceNative: num(p.priceNative),
+      change: {
+        m5: num(p.priceChange && p.priceChange.m5),
+        h1: num(p.priceChange && p.priceChange.h1),
+        h6: num(p.priceChange && p.priceChange.h6),
+        h24: num(p.priceChange && p.priceChange.h24)
+      },
+      volume: {
+        m5: num(p.volume && p.volume.m5),
+        h1: num(p.volume && p.volume.h1),
+        h6: num(p.volume && p.volume.h6),
+        h24: num(p.volume && p.volume.h24)
+      },
+      liquidityUsd: num(p.liquidity && p.liquidity.usd),
+      fdv: num(p.fdv),
+      marketCap: num(p.marketCap),
+      fetchedAt,
+      raw: p
+    };
+  }
+
+  function createMarketData(opts = {}) {
+    const source = opts.source || dexScreenerSource();
+    const ttlMs = opts.ttlMs ?? 5000;
+    const now = opts.now || Date.now;
+
+    const cache = new Map();    // request key -> { value, at }
+    const inflight = new Map(); // request key -> Promise
+    const pairs = new Map();    // input -> resolved pair address (resolved once)
+    const feeds = new Map();    // input -> feed
+
+    const backoffs = new Map(); // request key, or WHOLE_SOURCE -> { ms, until }
+    let online = typeof navigator === "undefined" || navigator.onLine !== false;
+
+    function backoffUntil(key) {
+      const own = backoffs.get(key);
+      const all = backoffs.get(WHOLE_SOURCE);
+      return Math.max(own ? own.until : 0, all ? all.until : 0);
+    }
+
+    function backOff(scope, err) {
+      const prev = backoffs.get(scope);
+      const ms = Math.min(MAX_BACKOFF_MS, prev ? prev.ms * 2 : BASE_BACKOFF_MS);
+      backoffs.set(scope, { ms, until: now() + Math.max(ms, (err.retryAfter || 0) * 1000) });
+    }
+
+    // Every source call goes through here: cached for ttlMs, shared while in
+    // flight, and refused outright while it (or the whole source) is backing off.
+    function request(key, fn) {
+      const hit = cache.get(key);
+      if (hit && now() - hit.at < ttlMs) return Promise.resolve(hit.value);
+      if (inflight.has(key)) return inflight.get(key);
+      const until = backoffUntil(key);
+      if (now() < until) {
+        const err = new Error("Backing off for " + Math.ceil((until - now()) / 1000) + "s");
+        err.backoff = true;
+        return Promise.reject(err);
+      }
+
+      const p = (async () => {
+        try {
+          const value = await fn();
+          cache.set(key, { value, at: now() });
+          backoffs.delete(key);
+          backoffs.delete(WHOLE_SOURCE);
+          return value;
+        } catch (err) {
+          if (shouldBackOff(err)) backOff(err.status === 429 ? WHOLE_SOURCE : key, err);
+          throw err;
+        } finally {
+          inflight.delete(key);
+        }
+      })();
+      inflight.set(key, p);
+      return p;
+    }
+
+    // Accepts a pair address, a mint, or a "pump"-suffixed mint.
+    async function resolvePair(input) {
+      const raw = String(input || "").trim();
+      if (!raw) throw new Error("No token or pair given.");
+      if (pairs.has(raw)) return pairs.get(raw);
+
+      const candidates = [raw];
+      if (raw.endsWith("pump")) candidates.push(raw.slice(0, -4));
+
+      for (const c of candidates) {
+        try {
+          const p = await request("pair:" + c, () => source.pair(c));
+          if (p && p.pairAddress) { pairs.set(raw, p.pairAddress); return p.pairAddress; }
+        } catch (e) { if (e.backoff) throw e; }
+      }
+      for (const c of candidates) {
+        try {
+          const list = await request("token:" + c, () => source.pairsForToken(c));
+          const p = list && list[0];
+          if (p && p.pairAddress) { pairs.set(raw, p.pairAddress); return p.pairAddress; }
+        } catch (e) { if (e.backoff) throw e; }
+      }
+      throw new Error("Could not resolve a pair for " + raw);
+    }
+
+    async function snapshot(input) {
+      const address = await resolvePair(input);
+      const p = await request("pair:" + address, () => source.pair(address));
+      if (!p) throw new Error("No pair data.");
+      const fetched = cache.get("pair:" + address);
+      return toSnapshot(p, fetched ? fetched.at : now());
+    }
+
+    function feedInterval(feed) {
+      let ms = Infinity;
+      feed.subscribers.forEach((s) => { ms = Math.min(ms, s.interval); });
+      return ms;
+    }
+
+    function feedStatus(feed) {
+      if (!online) return "offline";
+      if (!feed.snapshot) return feed.error ? "offline" : "loading";
+      if (feed.error || now() - feed.updatedAt > feedInterval(feed) * 2.5) return "stale";
+      return "live";
+    }
+
+    function view(feed) {
+      return {
+        input: feed.input,
+        data: feed.snapshot,
+        status: feedStatus(feed),
+        updatedAt: feed.updatedAt,
+        error: feed.error
+      };
+    }
+
+    function notify(feed) {
+      const v = view(feed);
+      feed.subscribers.forEach((s) => {
+        try { s.callback(v); } catch (e) { console.error(e); }
+      });
+    }
+
+    async function refreshFeed(feed) {
+      try {
+        feed.snapshot = await snapshot(feed.input);
+        feed.updatedAt = now();
+        feed.error = null;
+      } catch (err) {
+        feed.error = err;
+      }
+      if (feeds.get(feed.input) === feed) notify(feed);
+    }
+
+    function schedule(feed) {
+      clearInterval(feed.timer);
+      feed.timer = setInterval(() => refreshFeed(feed), feedInterval(feed));
+    }
+
+    /**
+     * Calls `callback({ input, data, status, updatedAt, error })` now and on
+     * every refresh. Subscribers to the same input share one feed, polled at
+     * the shortest interval any of them asked for. Returns an unsubscribe function.
+     */
+    function subscribe(input, callback, { interval = 15000 } = {}) {
+      const key = String(input || "").trim();
+      let feed = feeds.get(key);
+      if (!feed) {
+        feed = { input: key, subscribers: new Set(), timer: null, snapshot: null, updatedAt: 0, error: null };
+        feeds.set(key, feed);
+      }
+      const sub = { callback, interval };
+      feed.subscribers.add(sub);
+      schedule(feed);
+      if (feed.snapshot || feed.error) callback(view(feed));
+      refreshFeed(feed);
+
+      return function unsubscribe() {
+        feed.subscribers.delete(sub);
+        if (feed.subscribers.size) {
+          schedule(feed);
+        } else {
+          clearInterval(feed.timer);
+          if (feeds.get(key) === feed) feeds.delete(key);
+        }
+      };
+    }
+
+    // Skips the cache for this input's pair and refreshes its feed now.
+    function refresh(input) {
+      const key = String(input || "").trim();
+      const address = pairs.get(key);
+      if (address) cache.delete("pair:" + address);
+      const feed = feeds.get(key);
+      return feed ? refreshFeed(feed) : Promise.resolve();
+    }
+
+    if (typeof window !== "undefined") {
+      window.addEventListener("online", () => { online = true; feeds.forEach(refreshFeed); });
+      window.addEventListener("offline", () => { online = false; feeds.forEach(notify); });
+    }
+
+    return { subscribe, refresh, snapshot, resolvePair, source };
+  }
+
+  function sharedBaseUrl() {
+    try { return localStorage.getItem("wst_market_api") || undefined; } catch (_) { return undefined; }
+  }
+
+  root.WstMarketData = {
+    createMarketData,
+    dexScreenerSource,
+    shared: createMarketData({ source: dexScreenerSource({ baseUrl: sharedBaseUrl() }) })
+  };
+})(typeof window !== "undefined" ? window : globalThis);
@@ -0,0 +1,172 @@
+/* Capture and share for the 3D viewer (no external dependencies; <model-viewer> is
+ * loaded from unpkg only when AR is asked for)
+ * - Transparent PNG snapshot at a multiple of the on-screen resolution
+ * - Turntable video: one full turn of the model recorded from the canvas stream with
+ *   MediaRecorder (WebM)
+ * - Camera pose in the page URL (?view3d=azimuth,polar,zoom) so a view can be shared exactly
+ * - Hand-off of the GLB to Google's <model-viewer>: an inline AR view (Scene Viewer on
+ *   Android, Quick Look on iOS) and an embed snippet with the same camera orbit
+ *
+ * Works with any controller from js/modelviewer.js; files are saved through js/download.js.
+ * Exposes window.WstModelCapture = { downloadSnapshot, recordTurntable,
+ *   poseToParam, poseFromParam, readPoseFromUrl, writePoseToUrl, modelViewerSnippet,
+ *   showInModelViewer, MODEL_VIEWER_SRC }.
+ */
+(function () {
+  "use strict";
+
+  const URL_PARAM = "view3d";
+  const MODEL_VIEWER_SRC = "https://unpkg.com/@google/model-viewer@3.4.0/dist/model-viewer.min.js";
+  const VIDEO_TYPES = ["video/webm;codecs=vp9", "video/webm;codecs=vp8", "video/webm"];
+
+  async function downloadSnapshot(viewer, { scale = 2, filename = "WanShiTong-3D.png" } = {}) {
+    const blob = await viewer.snapshot(scale);
+    if (!blob) throw new Error("The browser could not export the 3D view.");
+    window.WstDownload.downloadBlob(blob, filename);
+  }
+
+  /**
+   * Records one full turn of the model, starting from where it faces now, and resolves
+   * to a WebM blob. `onProgress(0–1)` is called every frame.
+   */
+  function recordTurntable(viewer, { seconds = 6, fps = 30, onProgress } = {}) {
+    const canvas = viewer.canvas;
+    if (typeof MediaRecorder === "undefined" || !canvas.captureStream) {
+      return Promise.reject(new Error("This browser cannot record video from a canvas."));
+    }
+    const mimeType = VIDEO_TYPES.find((t) => MediaRecorder.isTypeSupported(t));
+    if (!mimeType) return Promise.reject(new Error("This browser cannot record WebM video."));
+
+    const stream = canvas.captureStream(fps);
+    const recorder = new MediaRecorder(stream, { mimeType, videoBitsPerSecond: 6e6 });
+    const chunks = [];
+    const start = viewer.getYaw();
+    let frame = 0;
+
+    return new Promise((resolve, reject) => {
+      recorder.ondataavailable = (e) => { if (e.data && e.data.size) chunks.push(e.data); };
+      recorder.onerror = (e) => finish(e.error || new Error("Recording failed."));
+      recorder.onstop = () => finish(null);
+
+      function finish(err) {
+        cancelAnimationFrame(frame);
+        viewer.holdYaw(null);
+        stream.getTracks().forEach((t) => t.stop());
+        if (err) reject(err);
+        else resolve(new Blob(chunks, { type: "video/webm" }));
+      }
+
+      let t0 = 0;
+      function step(now) {
+        if (!t0) t0 = now;
+        const t = Math.min(1, (now - t0) / (seconds * 1000));
+        viewer.holdYaw(start + t * Math.PI * 2);
+        if (onProgress) onProgress(t);
+        if (t < 1) frame = requestAnimationFrame(step);
+        else recorder.stop();
+      }
+
+      recorder.start();
+      frame = requestAnimationFrame(step);
+    });
+  }
+
+  function poseToParam(pose) {
+    return [pose.azimuth, pose.polar, pose.zoom].map((n) => Number(n).toFixed(3)).join(",");
+  }
+
+  // The pose in a "azimuth,polar,zoom" string, or null if it is not one.
+  function poseFromParam(text) {
+    const parts = String(text || "").split(",").map(Number);
+    if (parts.length !== 3 || !parts.every(isFinite)) return null;
+    const [azimuth, polar, zoom] = parts;
+    if (!(polar > 0 && polar < Math.PI) || !(zoom > 0)) return null;
+    return { azimuth, polar, zoom: Math.min(10, Math.max(0.1, zoom)) };
+  }
+
+  function readPoseFromUrl() {
+    return poseFromParam(new URLSearchParams(location.search).get(URL_PARAM));
+  }
+
+  // Puts `pose` into the address bar (without reloading) and returns the shareable URL.
+  function writePoseToUrl(pose) {
+    const url = new URL(location.href);
+    url.searchParams.set(URL_PARAM, poseToParam(pose));
+    const href = url.href.replace(/%2C/gi, ","); // commas are fine in a query and easier to read
+    history.replaceState(history.state, "", href);
+    return href;
+  }
+
+  // model-viewer's camera-orbit: theta and phi as in our pose; 105% is its own framing.
+  function cameraOrbit(pose) {
+    if (!pose) return "0deg 75deg 105%";
+    return `${pose.azimuth.toFixed(3)}rad ${pose.polar.toFixed(3)}rad ${Math.round(pose.zoom * 105)}%`;
+  }
+
+  function absolute(src) {
+    return new URL(src, location.href).href;
+  }
+
+  function escapeAttr(s) {
+    return String(s).replace(/&/g, "&amp;").replace(/"/g, "&quot;").replace(/</g, "&lt;");
+  }
+
+  // HTML to embed the GLB elsewhere with <model-viewer>, AR enabled.
+  function modelViewerSnippet(src, pose) {
+    return [
+      `<script type="module" src="${MODEL_VIEWER_SRC}"></script>`,
+      `<model-viewer src="${escapeAttr(absolute(src))}" alt="Wan Shi Tong" ar ar-modes="webxr scene-viewer quick-look"`,
+      `  camera-controls camera-orbit="${cameraOrbit(pose)}" shadow-intensity="1" style="width:100%;height:480px"></model-viewer>`
+    ].join("\n");
+  }
+
+  let libraryPromise = null;
+
+  function loadModelViewer() {
+    if (window.customElements && customElements.get("model-viewer")) return Promise.resolve();
+    if (!libraryPromise) {
+      libraryPromise = new Promise((resolve, reject) => {
+        const script = document.createElement("script");
+        script.type = "module";
+        script.src = MODEL_VIEWER_SRC;
+        script.onload = () => customElements.whenDefined("model-viewer").then(resolve);
+        script.onerror = () => {
+          libraryPromise = null;
+          reject(new Error("Could not load <model-viewer> for AR."));
+        };
+        document.head.appendChild(script);
+      });
+    }
+    return libraryPromise;
+  }
+
+  /**
+   * Replaces the contents of `container` with a <model-viewer> for `src` (a GLB) at
+   * `pose`. On phones it shows an AR button; resolves to the element.
+   */
+  async function showInModelViewer(container, src, pose) {
+    await loadModelViewer();
+    const el = document.createElement("model-viewer");
+    el.setAttribute("src", absolute(src));
+    el.setAttribute("alt", "Wan Shi Tong");
+    el.setAttribute("ar", "");
+    el.setAttribute("ar-modes", "webxr scene-viewer quick-look");
+    el.setAttribute("camera-controls", "");
+    el.setAttribute("camera-orbit", cameraOrbit(pose));
+    el.setAttribute("shadow-intensity", "1");
+    container.replaceChildren(el);
+    return el;
+  }
+
+  window.WstModelCapture = {
+    downloadSnapshot,
+    recordTurntable,
+    poseToParam,
+    poseFromParam,
+    readPoseFromUrl,
+    writePoseToUrl,
+    modelViewerSnippet,
+    showInModelViewer,
+    MODEL_VIEWER_SRC
+  };
+})();
@@ -0,0 +1,227 @@
+/* Wan Shi Tong model viewer (no external dependencies of its own)
+ * - One entry point for the 3D assets in models/; the loader is picked by file extension:
+ *     .glb / .gltf  Three.js (js/glbviewer.js, imported on demand; Three comes from unpkg)
+ *     .obj          raw WebGL (js/objviewer.js), with the given .mtl or the OBJ's own mtllib
+ * - When the Three.js path fails (CDN unreachable, or the file will not load) and a
+ *   `fallback` asset is given, the fallback is shown instead on a fresh canvas
+ * - Loading and error messages go to an optional status element
+ * - Expression states (idle, listening, speaking, awakened) that both viewers blend between.
+ *   The owl is one rigid mesh, so these move the whole model: it turns to face the viewer,
+ *   tilts, swells slightly wider and its eyes glow. A GLB that carries animation clips gets
+ *   the one named after the state cross-faded in; models/wan_shi_tong.glb has none
+ * - Keyboard control on the (focusable) canvas: arrows orbit, Shift+arrows pan, +/- zoom,
+ *   0 resets; the idle spin stops under prefers-reduced-motion; rendering pauses while
+ *   the canvas is off-screen
+ *
+ * Every viewer resolves to a controller { kind, canvas, resetView, destroy, setState, state,
+ * clips, playClip }.
+ *
+ * Exposes window.WstModelViewer = { mount, loaderFor, STATES }. window.initWanShiViewer is kept for
+ * the old option shapes ({ canvasId, statusId, glbPath } or { canvasId, statusId, objPath, mtlPath }).
+ */
+(function () {
+  "use strict";
+
+  // Resolved against this script, so the page can live anywhere on the site.
+  const GLB_MODULE = new URL("glbviewer.js", (document.currentScript && document.currentScript.src) || new URL("js/", location.href)).href;
+
+  // Procedural pose per state. `spin` is the idle turntable (1) versus facing the viewer (0);
+  // `tilt` is radians the whole model pitches toward the viewer; `glow` and `swell` run 0–1,
+  // where a full swell widens the model by 15% (and heightens it by 3%).
+  const STATES = Object.freeze({
+    idle: Object.freeze({ spin: 1, tilt: 0, glow: 0, swell: 0 }),
+    listening: Object.freeze({ spin: 0, tilt: 0.06, glow: 0.15, swell: 0 }),
+    speaking: Object.freeze({ spin: 0, tilt: -0.03, glow: 0.35, swell: 0.15 }),
+    awakened: Object.freeze({ spin: 0, tilt: 0.1, glow: 1, swell: 1 })
+  });
+  const BLEND_S = 0.35; // time constant of the blend between poses
+
+  /**
+   * Tracks the current state and eases a pose toward it. Viewers call update(dt)
+   * every frame and apply the returned { spin, tilt, glow, swell }.
+   */
+  function createPoseDriver() {
+    const pose = { ...STATES.idle };
+    const listeners = new Set();
+    let state = "idle";
+    let timer = 0;
+
+    // `duration` (ms) makes the state temporary: it falls back to idle afterwards.
+    function set(name, { duration = 0 } = {}) {
+      if (!STATES[name]) throw new Error("Unknown model state: " + name);
+      clearTimeout(timer);
+      if (duration > 0) timer = setTimeout(() => set("idle"), duration);
+      if (name === state) return;
+      state = name;
+      listeners.forEach((fn) => fn(name));
+    }
+
+    function update(dt) {
+      const k = 1 - Math.exp(-dt / BLEND_S);
+      const target = STATES[state];
+      Object.keys(pose).forEach((key) => { pose[key] += (target[key] - pose[key]) * k; });
+      return pose;
+    }
+
+    return {
+      set,
+      update,
+      state: () => state,
+      onChange(fn) {
+        listeners.add(fn);
+        return () => listeners.delete(fn);
+      },
+      destroy() {
+        clearTimeout(timer);
+        listeners.clear();
+      }
+    };
+  }
+
+  const KEY_TURN = 0.12; // radians per arrow press
+  const KEY_PAN = 24; // pixels per Shift+arrow press
+  const KEY_ZOOM = 0.9;
+
+  /**
+   * Keyboard control, reduced motion and off-screen pausing for a viewer controller.
+   * Returns a function that removes them again.
+   */
+  function attachControls(viewer) {
+    const canvas = viewer.canvas;
+    if (!canvas.hasAttribute("tabindex")) canvas.tabIndex = 0;
+    if (!canvas.getAttribute("aria-keyshortcuts")) canvas.setAttribute("aria-keyshortcuts", "ArrowLeft ArrowRight ArrowUp ArrowDown Shift+ArrowLeft Shift+ArrowRight Shift+ArrowUp Shift+ArrowDown + - 0");
+
+    function onKey(e) {
+      if (e.altKey || e.ctrlKey || e.metaKey) return;
+      const step = {
+        ArrowLeft: [-1, 0],
+        ArrowRight: [1, 0],
+        ArrowUp: [0, -1],
+        ArrowDown: [0, 1]
+      }[e.key];
+      // Same directions as dragging with the mouse.
+      if (step && e.shiftKey) viewer.pan(step[0] * KEY_PAN, step[1] * KEY_PAN);
+      else if (step) viewer.orbit(-step[0] * KEY_TURN, -step[1] * KEY_TURN);
+      else if (e.key === "+" || e.key === "=") viewer.dolly(KEY_ZOOM);
+      else if (e.key === "-" || e.key === "_") viewer.dolly(1 / KEY_ZOOM);
+      else if (e.key === "0" || e.key === "Home") viewer.resetView();
+      else return;
+      // Keep the page (and the Spirit Run game's arrow keys) out of it.
+      e.preventDefault();
+      e.stopPropagation();
+    }
+    canvas.addEventListener("keydown", onKey);
+
+    const motion = window.matchMedia ? window.matchMedia("(prefers-reduced-motion: reduce)") : null;
+    const applyMotion = () => viewer.setIdleSpin(!(motion && motion.matches));
+    applyMotion();
+    if (motion && motion.addEventListener) motion.addEventListener("change", applyMotion);
+
+    let observer = null;
+    if (typeof IntersectionObserver !== "undefined") {
+      observer = new IntersectionObserver((entries) => {
+        viewer.setRunning(entries[entries.length - 1].isIntersecting);
+      });
+      observer.observe(canvas);
+    }
+
+    return () => {
+      canvas.removeEventListener("keydown", onKey);
+      if (motion && motion.removeEventListener) motion.removeEventListener("change", applyMotion);
+      if (observer) observer.disconnect();
+    };
+  }
+
+  // "gltf", "obj", or "" for an extension no loader handles.
+  function loaderFor(src) {
+    const ext = String(src || "").split(/[?#]/)[0].split(".").pop().toLowerCase();
+    if (ext === "glb" || ext === "gltf") return "gltf";
+    if (ext === "obj") return "obj";
+    return "";
+  }
+
+  // A canvas that has handed out a WebGL context cannot hand out another kind.
+  function freshCanvas(canvas) {
+    const next = canvas.cloneNode(false);
+    canvas.replaceWith(next);
+    return next;
+  }
+
+  async function load(canvas, asset, onStatus) {
+    const pose = createPoseDriver();
+    let viewer;
+    try {
+      const kind = loaderFor(asset.src);
+      if (kind === "gltf") {
+        const mod = await import(GLB_MODULE);
+        viewer = await mod.createGlbViewer(canvas, { src: asset.src, eyes: asset.eyes, pose, onStatus });
+      } else if (kind === "obj") {
+        viewer = await window.WstObjViewer.createObjViewer(canvas, { src: asset.src, mtl: asset.mtl, pose, onStatus });
+      } else {
+        throw new Error("No 3D loader for " + asset.src + ".");
+      }
+    } catch (e) {
+      pose.destroy();
+      throw e;
+    }
+    const destroy = viewer.destroy;
+    const detach = attachControls(viewer);
+    return {
+      clips: () => [],
+      playClip: () => false,
+      ...viewer,
+      setState: pose.set,
+      state: pose.state,
+      destroy() {
+        detach();
+        pose.destroy();
+        destroy();
+      }
+    };
+  }
+
+  /**
+   * Shows `opts.src` in `canvas`. `opts.mtl` goes with an OBJ and `opts.eyes` with
+   * a GLB (where its eyes are, see js/glbviewer.js); `opts.fallback` ({ src, mtl })
+   * is tried when the first asset fails; `opts.status` is an element for messages.
+   * Resolves to the viewer's controller (`canvas` is the replacement if a fallback
+   * was needed), or rejects with the last error after showing it.
+   */
+  async function mount(canvas, opts) {
+    const statusEl = opts.status || null;
+    const onStatus = (msg) => {
+      if (!statusEl) return;
+      statusEl.textContent = msg;
+      statusEl.hidden = !msg;
+    };
+
+    try {
+      return await load(canvas, opts, onStatus);
+    } catch (e) {
+      if (!opts.fallback) {
+        onStatus("3D viewer failed to load: " + e.message);
+        throw e;
+      }
+      console.warn("3D viewer falling back to " + opts.fallback.src + ":", e);
+    }
+
+    try {
+      return await load(freshCanvas(canvas), opts.fallback, onStatus);
+    } catch (e) {
+      onStatus("3D viewer failed to load: " + e.message);
+      throw e;
+    }
+  }
+
+  window.WstModelViewer = { mount, loaderFor, STATES };
+
+  window.initWanShiViewer = function initWanShiViewer(opts) {
+    const canvas = document.getElementById(opts.canvasId || "threeCanvas");
+    const status = opts.statusId ? document.getElementById(opts.statusId) : null;
+    if (!canvas) {
+      if (status) status.textContent = "3D canvas not found.";
+      return Promise.reject(new Error("3D canvas not found."));
+    }
+    return mount(canvas, { src: opts.src || opts.glbPath || opts.objPath, mtl: opts.mtl || opts.mtlPath, fallback: opts.fallback, status });
+  };
+})();
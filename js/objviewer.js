@@ -1,28 +1,49 @@
 /* Minimal OBJ(+MTL) WebGL viewer (no external dependencies)
- * - Orbit controls (drag to rotate, wheel to zoom, right-drag to pan)
- * - Loads OBJ, optional MTL (map_Kd) and texture
- * - Basic directional + ambient lighting
+ * - Orbit controls (drag to rotate, wheel to zoom, right-drag or Shift+drag to pan,
+ *   double-click to reset); on touch screens pinch to zoom, two-finger drag to pan and
+ *   twist to turn
+ * - Loads OBJ with its MTL materials (Kd/Ka/Ks/Ns/d/illum, map_Kd, map_Bump normal maps
+ *   and texture options); one draw call per usemtl/o/g group
+ * - Smooth normals for faces without vn
+ * - Ambient + key/fill directional lighting with Blinn-Phong specular
+ * - Follows the expression pose from js/modelviewer.js (the whole model turns to the viewer,
+ *   tilts and swells); "glowing eyes" is a red cast over the whole model here, as an OBJ has
+ *   no eyes to find
+ * - Capture hooks for js/modelcapture.js: snapshot, camera pose, and holding the model's turn
+ * - The raw WebGL path of js/modelviewer.js, which also uses it when the Three.js CDN
+ *   is unreachable
+ *
+ * Exposes window.WstObjViewer = { createObjViewer, parseOBJ, parseMTL }.
  */
 (function () {
   "use strict";
 
   function clamp(v, a, b){ return Math.max(a, Math.min(b, v)); }
 
-  function mat4Identity() {
-    return [1,0,0,0,
-            0,1,0,0,
-            0,0,1,0,
-            0,0,0,1];
+  function mat4Translate(v){
+    return [1,0,0,0, 0,1,0,0, 0,0,1,0, v[0],v[1],v[2],1];
   }
+  function mat4Scale(v){
+    return [v[0],0,0,0, 0,v[1],0,0, 0,0,v[2],0, 0,0,0,1];
+  }
+  function mat4RotateX(a){
+    const c=Math.cos(a), s=Math.sin(a);
+    return [1,0,0,0, 0,c,s,0, 0,-s,c,0, 0,0,0,1];
+  }
+  function mat4RotateY(a){
+    const c=Math.cos(a), s=Math.sin(a);
+    return [c,0,-s,0, 0,1,0,0, s,0,c,0, 0,0,0,1];
+  }
+  // a × b for column-major arrays (the layout uniformMatrix4fv expects).
   function mat4Mul(a,b){
     const o = new Array(16);
-    for (let r=0;r<4;r++){
-      for (let c=0;c<4;c++){
-        o[r*4+c] =
-          a[r*4+0]*b[0*4+c] +
-          a[r*4+1]*b[1*4+c] +
-          a[r*4+2]*b[2*4+c] +
-          a[r*4+3]*b[3*4+c];
+    for (let c=0;c<4;c++){
+      for (let r=0;r<4;r++){
+        o[c*4+r] =
+          a[0*4+r]*b[c*4+0] +
+          a[1*4+r]*b[c*4+1] +
+          a[2*4+r]*b[c*4+2] +
+          a[3*4+r]*b[c*4+3];
       }
     }
     return o;
@@ -44,6 +65,7 @@
   function vec3Cross(a,b){
     return [a[1]*b[2]-a[2]*b[1], a[2]*b[0]-a[0]*b[2], a[0]*b[1]-a[1]*b[0]];
   }
+  function wrapAngle(a){ return Math.atan2(Math.sin(a), Math.cos(a)); }
   function vec3Sub(a,b){ return [a[0]-b[0],a[1]-b[1],a[2]-b[2]]; }
   function vec3Add(a,b){ return [a[0]+b[0],a[1]+b[1],a[2]+b[2]]; }
   function vec3Scale(a,s){ return [a[0]*s,a[1]*s,a[2]*s]; }
@@ -107,28 +129,101 @@
     });
   }
 
+  // Texture statement options: those that take one word, and those that take up to N numbers.
+  const TEX_WORD_OPTIONS = ["-blendu", "-blendv", "-cc", "-clamp", "-imfchan", "-type"];
+  const TEX_NUM_OPTIONS = { "-boost": 1, "-mm": 2, "-texres": 1, "-bm": 1, "-o": 3, "-s": 3, "-t": 3 };
+
+  /**
+   * Parses the arguments of a map_* statement into { file, offset, scale, clamp,
+   * bumpScale, options }. Only -o, -s, -clamp and -bm change how the viewer draws;
+   * the other flags are kept in `options` for reference.
+   */
+  function parseTexture(args){
+    const options = {};
+    let i = 0;
+    // the last argument is always the file name
+    while (i < args.length - 1){
+      const flag = args[i].toLowerCase();
+      const vals = [];
+      if (TEX_WORD_OPTIONS.includes(flag)){
+        vals.push(args[i + 1]);
+        i += 2;
+      } else if (TEX_NUM_OPTIONS[flag]){
+        i++;
+        while (vals.length < TEX_NUM_OPTIONS[flag] && i < args.length - 1 && isFinite(parseFloat(args[i]))) vals.push(args[i++]);
+      } else {
+        break;
+      }
+      options[flag.slice(1)] = vals;
+    }
+    const num = (vals, d) => [0,1,2].map((k) => (vals && isFinite(parseFloat(vals[k])) ? parseFloat(vals[k]) : d[k]));
+    return {
+      file: args.slice(i).join(" "),
+      offset: num(options.o, [0,0,0]),
+      scale: num(options.s, [1,1,1]),
+      clamp: !!(options.clamp && String(options.clamp[0]).toLowerCase() === "on"),
+      bumpScale: options.bm ? parseFloat(options.bm[0]) || 1 : 1,
+      options
+    };
+  }
+
+  function defaultMaterial(name){
+    return {
+      name,
+      Kd: [0.8,0.8,0.8],
+      Ka: [0.2,0.2,0.2],
+      Ks: [0,0,0],
+      Ns: 10,
+      d: 1,
+      illum: 2,
+      map_Kd: null,
+      map_Bump: null
+    };
+  }
+
+  /**
+   * Reads every material in an MTL file: colours (Kd, Ka, Ks), shininess (Ns),
+   * opacity (d, or Tr = 1 − d), illumination model, the diffuse texture (map_Kd)
+   * and a tangent-space normal map (map_Bump, bump or norm). Returns { name: material }.
+   */
   function parseMTL(text){
-    // Minimal: reads map_Kd from first material
+    const materials = {};
+    let cur = null;
     const lines = text.split(/\r?\n/);
-    let mapKd = null;
     for (const ln of lines){
       const l = ln.trim();
       if (!l || l.startsWith("#")) continue;
       const parts = l.split(/\s+/);
       const key = parts[0].toLowerCase();
-      if (key === "map_kd" && parts.length >= 2){
-        mapKd = parts.slice(1).join(" ");
-        // strip options like -s etc (best-effort)
-        mapKd = mapKd.replace(/^[-\w]+\s+[-\d.]+\s+[-\d.]+\s+[-\d.]+\s+/i, "");
-        mapKd = mapKd.replace(/^[-\w]+\s+[-\d.]+\s+[-\d.]+\s+/i, "");
-        mapKd = mapKd.replace(/^[-\w]+\s+[-\d.]+\s+/i, "");
-        mapKd = mapKd.trim();
-        break;
+      const args = parts.slice(1);
+      const rgb = () => {
+        const v = args.map(parseFloat);
+        return [v[0], isFinite(v[1]) ? v[1] : v[0], isFinite(v[2]) ? v[2] : v[0]];
+      };
+      if (key === "newmtl"){
+        cur = materials[args.join(" ")] = defaultMaterial(args.join(" "));
+        continue;
       }
+      if (!cur) continue;
+      if (key === "kd") cur.Kd = rgb();
+      else if (key === "ka") cur.Ka = rgb();
+      else if (key === "ks") cur.Ks = rgb();
+      else if (key === "ns") cur.Ns = parseFloat(args[0]) || 0;
+      else if (key === "d") cur.d = clamp(parseFloat(args[0]), 0, 1);
+      else if (key === "tr") cur.d = clamp(1 - parseFloat(args[0]), 0, 1);
+      else if (key === "illum") cur.illum = parseInt(args[0], 10) || 0;
+      else if (key === "map_kd") cur.map_Kd = parseTexture(args);
+      else if (key === "map_bump" || key === "bump" || key === "norm") cur.map_Bump = parseTexture(args);
     }
-    return { mapKd };
+    return materials;
   }
 
+  /**
+   * Triangulates an OBJ into flat arrays (position, normal, uv, tangent) plus draw
+   * groups: a new group starts wherever `usemtl`, `o` or `g` changes, and each one
+   * is drawn separately with its own material. Faces without `vn` get smooth normals
+   * averaged over every face that shares the vertex.
+   */
   function parseOBJ(text){
     const positions = [[0,0,0]];
     const texcoords = [[0,0]];
@@ -136,6 +231,27 @@
     const outPos = [];
     const outUV = [];
     const outNor = [];
+    const outPosIndex = []; // OBJ position index per output vertex, for smoothing
+    const needsNormal = [];
+    const mtllibs = [];
+    const groups = [];
+
+    let object = "";
+    let group = "";
+    let material = "";
+    let current = null;
+
+    function startGroup(){
+      current = null;
+    }
+
+    function groupForFace(){
+      if (!current){
+        current = { object, group, material, start: outPos.length / 3, count: 0 };
+        groups.push(current);
+      }
+      return current;
+    }
 
     const lines = text.split(/\r?\n/);
 
@@ -147,6 +263,8 @@
       outPos.push(p[0],p[1],p[2]);
       outUV.push(t[0],1 - t[1]);
       outNor.push(n[0],n[1],n[2]);
+      outPosIndex.push(vi);
+      needsNormal.push(!ni);
     }
 
     for (const ln of lines){
@@ -157,29 +275,85 @@
       if (key === "v"){
         positions.push([parseFloat(parts[1]), parseFloat(parts[2]), parseFloat(parts[3])]);
       } else if (key === "vt"){
-        texcoords.push([parseFloat(parts[1]), parseFloat(parts[2])]);
+        texcoords.push([parseFloat(parts[1]), parseFloat(parts[2]) || 0]);
       } else if (key === "vn"){
         normals.push([parseFloat(parts[1]), parseFloat(parts[2]), parseFloat(parts[3])]);
+      } else if (key === "mtllib"){
+        mtllibs.push(parts.slice(1).join(" "));
+      } else if (key === "usemtl"){
+        material = parts.slice(1).join(" ");
+        startGroup();
+      } else if (key === "o"){
+        object = parts.slice(1).join(" ");
+        startGroup();
+      } else if (key === "g"){
+        group = parts.slice(1).join(" ");
+        startGroup();
       } else if (key === "f"){
         // supports v, v/vt, v//vn, v/vt/vn
         const verts = parts.slice(1).map(tok => {
           const seg = tok.split("/");
           const vi = parseInt(seg[0],10);
           const ti = seg[1] ? parseInt(seg[1],10) : 0;
-          const ni = seg[2] ? parseInt(seg[2],10) : (seg[1]==="" ? parseInt(seg[2],10) : 0);
+          const ni = seg[2] ? parseInt(seg[2],10) : 0;
           return [vi < 0 ? positions.length + vi : vi,
                   ti < 0 ? texcoords.length + ti : ti,
                   ni < 0 ? normals.length + ni : ni];
         });
+        const g = groupForFace();
         // triangulate fan
         for (let i=1;i<verts.length-1;i++){
           addVertex(verts[0]);
           addVertex(verts[i]);
           addVertex(verts[i+1]);
+          g.count += 3;
         }
       }
     }
 
+    const vertexCount = outPos.length / 3;
+    const posAt = (i) => [outPos[i*3], outPos[i*3+1], outPos[i*3+2]];
+
+    // smooth normals: area-weighted face normals summed per shared OBJ position
+    if (needsNormal.some(Boolean)){
+      const acc = new Map();
+      for (let i=0;i<vertexCount;i+=3){
+        const a = posAt(i), b = posAt(i+1), c = posAt(i+2);
+        const fn = vec3Cross(vec3Sub(b, a), vec3Sub(c, a));
+        for (let k=0;k<3;k++){
+          if (!needsNormal[i+k]) continue;
+          const key = outPosIndex[i+k];
+          acc.set(key, vec3Add(acc.get(key) || [0,0,0], fn));
+        }
+      }
+      for (let i=0;i<vertexCount;i++){
+        if (!needsNormal[i]) continue;
+        const n = vec3Normalize(acc.get(outPosIndex[i]));
+        outNor[i*3] = n[0]; outNor[i*3+1] = n[1]; outNor[i*3+2] = n[2];
+      }
+    }
+
+    // per-triangle tangents (xyz + handedness) for normal maps, in OBJ texture space
+    const outTan = new Float32Array(vertexCount * 4);
+    for (let i=0;i<vertexCount;i+=3){
+      const p0 = posAt(i), p1 = posAt(i+1), p2 = posAt(i+2);
+      const u0 = outUV[i*2], v0 = 1 - outUV[i*2+1];
+      const du1 = outUV[(i+1)*2] - u0, dv1 = (1 - outUV[(i+1)*2+1]) - v0;
+      const du2 = outUV[(i+2)*2] - u0, dv2 = (1 - outUV[(i+2)*2+1]) - v0;
+      const e1 = vec3Sub(p1, p0), e2 = vec3Sub(p2, p0);
+      const det = du1 * dv2 - du2 * dv1;
+      // without usable UVs any tangent in the face plane will do
+      const t = det ? vec3Normalize(vec3Scale(vec3Sub(vec3Scale(e1, dv2), vec3Scale(e2, dv1)), 1 / det)) : vec3Normalize(e1);
+      const b = det ? vec3Scale(vec3Sub(vec3Scale(e2, du1), vec3Scale(e1, du2)), 1 / det) : vec3Cross(vec3Cross(e1, e2), t);
+      for (let k=0;k<3;k++){
+        const j = i + k;
+        const n = [outNor[j*3], outNor[j*3+1], outNor[j*3+2]];
+        const cb = vec3Cross(n, t);
+        const w = (cb[0]*b[0] + cb[1]*b[1] + cb[2]*b[2]) < 0 ? -1 : 1;
+        outTan[j*4] = t[0]; outTan[j*4+1] = t[1]; outTan[j*4+2] = t[2]; outTan[j*4+3] = w;
+      }
+    }
+
     // compute bounds
     let minX=Infinity,minY=Infinity,minZ=Infinity,maxX=-Infinity,maxY=-Infinity,maxZ=-Infinity;
     for (let i=0;i<outPos.length;i+=3){
@@ -195,282 +369,539 @@
       position: new Float32Array(outPos),
       normal: new Float32Array(outNor),
       uv: new Float32Array(outUV),
+      tangent: outTan,
+      groups: groups.filter((g) => g.count > 0),
+      mtllibs,
       center, radius
     };
   }
 
-  function createTexture(gl, img){
+  // `clampEdges` is the MTL "-clamp on" option; otherwise textures repeat.
+  function createTexture(gl, img, clampEdges){
     const tex = gl.createTexture();
     gl.bindTexture(gl.TEXTURE_2D, tex);
     gl.pixelStorei(gl.UNPACK_FLIP_Y_WEBGL, false);
     gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, img);
-    gl.generateMipmap(gl.TEXTURE_2D);
-    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR_MIPMAP_LINEAR);
+    const pot = (n) => (n & (n - 1)) === 0;
+    if (pot(img.width) && pot(img.height)){
+      gl.generateMipmap(gl.TEXTURE_2D);
+      gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR_MIPMAP_LINEAR);
+      const wrap = clampEdges ? gl.CLAMP_TO_EDGE : gl.REPEAT;
+      gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, wrap);
+      gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, wrap);
+    } else {
+      // WebGL1 cannot mipmap or repeat non-power-of-two textures.
+      gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+      gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+      gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+    }
     gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
     gl.bindTexture(gl.TEXTURE_2D, null);
     return tex;
   }
 
-  function setStatus(el, msg){
-    if (!el) return;
-    el.textContent = msg;
-    el.style.display = msg ? "block" : "none";
+  // Directory part of a URL, for resolving the files an OBJ or MTL refers to.
+  function baseOf(url){
+    return url.substring(0, url.lastIndexOf("/") + 1);
   }
 
-  window.initWanShiViewer = async function initWanShiViewer(opts){
-    const canvas = document.getElementById(opts.canvasId || "threeCanvas");
-    const statusEl = opts.statusId ? document.getElementById(opts.statusId) : null;
-
-    if (!canvas){
-      setStatus(statusEl, "3D canvas not found.");
-      return;
+  const VS_SRC = `
+    attribute vec3 aPos;
+    attribute vec3 aNor;
+    attribute vec2 aUV;
+    attribute vec4 aTan;
+    uniform mat4 uMVP;
+    uniform mat4 uMV;
+    varying vec3 vNor;
+    varying vec4 vTan;
+    varying vec2 vUV;
+    varying vec3 vPos;
+    void main(){
+      vec4 mv = uMV * vec4(aPos, 1.0);
+      vPos = mv.xyz;
+      vNor = mat3(uMV) * aNor;
+      vTan = vec4(mat3(uMV) * aTan.xyz, aTan.w);
+      vUV = aUV;
+      gl_Position = uMVP * vec4(aPos, 1.0);
     }
-
-    const gl = canvas.getContext("webgl", {alpha:true, antialias:true});
-    if (!gl){
-      setStatus(statusEl, "WebGL not available in this browser.");
-      return;
-    }
-
-    const vsSrc = `
-      attribute vec3 aPos;
-      attribute vec3 aNor;
-      attribute vec2 aUV;
-      uniform mat4 uMVP;
-      uniform mat4 uMV;
-      varying vec3 vNor;
-      varying vec2 vUV;
-      varying vec3 vPos;
-      void main(){
-        vec4 mv = uMV * vec4(aPos, 1.0);
-        vPos = mv.xyz;
-        vNor = mat3(uMV) * aNor;
-        vUV = aUV;
-        gl_Position = uMVP * vec4(aPos, 1.0);
+  `;
+  // MTL shading: Ka·ambient + Kd·diffuse (illum ≥ 1) + Ks·Blinn-Phong specular (illum ≥ 2),
+  // with map_Kd multiplying Kd and d as alpha. Texture transforms are (offset.xy, scale.xy).
+  const FS_SRC = `
+    precision mediump float;
+    varying vec3 vNor;
+    varying vec4 vTan;
+    varying vec2 vUV;
+    varying vec3 vPos;
+    uniform vec3 uKd;
+    uniform vec3 uKa;
+    uniform vec3 uKs;
+    uniform float uNs;
+    uniform float uD;
+    uniform int uIllum;
+    uniform sampler2D uTex;
+    uniform bool uHasTex;
+    uniform vec4 uTexXform;
+    uniform sampler2D uNormalMap;
+    uniform bool uHasNormalMap;
+    uniform vec4 uNormalXform;
+    uniform float uNormalScale;
+    uniform vec3 uLightDir;
+    uniform vec3 uFillDir;
+    uniform float uGlow;
+    const vec3 GLOW = vec3(0.25, 0.03, 0.02); // red cast of the "awakened" eyes
+    vec2 mapUV(vec4 xf){
+      vec2 t = vec2(vUV.x, 1.0 - vUV.y) * xf.zw + xf.xy;
+      return vec2(t.x, 1.0 - t.y);
+    }
+    void main(){
+      vec3 n = normalize(vNor);
+      if (uHasNormalMap){
+        vec3 t = normalize(vTan.xyz - n * dot(n, vTan.xyz));
+        vec3 b = cross(n, t) * vTan.w;
+        vec3 m = texture2D(uNormalMap, mapUV(uNormalXform)).rgb * 2.0 - 1.0;
+        m.xy *= uNormalScale;
+        n = normalize(t * m.x + b * m.y + n * m.z);
+      }
+      vec4 tex = uHasTex ? texture2D(uTex, mapUV(uTexXform)) : vec4(1.0);
+      vec3 kd = uKd * tex.rgb;
+      float alpha = uD * tex.a;
+      if (uIllum == 0){
+        gl_FragColor = vec4(kd + uGlow * GLOW, alpha);
+        return;
       }
-    `;
-    const fsSrc = `
-      precision mediump float;
-      varying vec3 vNor;
-      varying vec2 vUV;
-      uniform sampler2D uTex;
-      uniform bool uHasTex;
-      uniform vec3 uLightDir;
-      void main(){
-        vec3 n = normalize(vNor);
-        float diff = max(dot(n, normalize(uLightDir)), 0.0);
-        float amb = 0.35;
-        vec3 base = uHasTex ? texture2D(uTex, vUV).rgb : vec3(0.9, 0.85, 0.75);
-        vec3 col = base * (amb + diff * 0.9);
-        gl_FragColor = vec4(col, 1.0);
+      vec3 l = normalize(uLightDir);
+      float diff = max(dot(n, l), 0.0) * 0.9 + max(dot(n, normalize(uFillDir)), 0.0) * 0.3;
+      vec3 col = kd * (uKa * 1.6 + diff);
+      if (uIllum >= 2){
+        vec3 h = normalize(l + normalize(-vPos));
+        col += uKs * pow(max(dot(n, h), 0.0), max(uNs, 1.0));
       }
-    `;
-    let program;
-    try{
-      program = createProgram(gl, vsSrc, fsSrc);
-    } catch(e){
-      setStatus(statusEl, "Shader error: " + e.message);
-      return;
+      gl_FragColor = vec4(col + uGlow * GLOW, alpha);
     }
+  `;
+
+  // Used for faces with no usemtl, or one the MTL does not define.
+  const FALLBACK_MATERIAL = Object.assign(defaultMaterial(""), { Kd: [0.9,0.85,0.75], Ka: [0.22,0.22,0.22] });
+
+  /**
+   * Loads `opts.src` (OBJ) into `canvas` and starts rendering. `opts.mtl` is the
+   * material file; when omitted the OBJ's own `mtllib` files are used, and `false`
+   * skips materials. `opts.pose` is the expression driver from js/modelviewer.js.
+   * `opts.onStatus(msg)` receives loading messages. Resolves to a controller
+   * { kind, canvas, resetView, destroy, getPose, setPose, getYaw, holdYaw, snapshot,
+   * orbit, dolly, pan, setRunning, setIdleSpin };
+   * rejects when WebGL or the OBJ is unavailable.
+   */
+  async function createObjViewer(canvas, opts){
+    const onStatus = opts.onStatus || (() => {});
+
+    const gl = canvas.getContext("webgl", {alpha:true, antialias:true});
+    if (!gl) throw new Error("WebGL not available in this browser.");
+
+    const program = createProgram(gl, VS_SRC, FS_SRC);
     gl.useProgram(program);
 
     const loc = {
       aPos: gl.getAttribLocation(program, "aPos"),
       aNor: gl.getAttribLocation(program, "aNor"),
       aUV:  gl.getAttribLocation(program, "aUV"),
-      uMVP: gl.getUniformLocation(program, "uMVP"),
-      uMV:  gl.getUniformLocation(program, "uMV"),
-      uTex: gl.getUniformLocation(program, "uTex"),
-      uHasTex: gl.getUniformLocation(program, "uHasTex"),
-      uLightDir: gl.getUniformLocation(program, "uLightDir"),
+      aTan: gl.getAttribLocation(program, "aTan"),
     };
+    ["uMVP", "uMV", "uKd", "uKa", "uKs", "uNs", "uD", "uIllum", "uTex", "uHasTex", "uTexXform",
+      "uNormalMap", "uHasNormalMap", "uNormalXform", "uNormalScale", "uLightDir", "uFillDir", "uGlow"]
+      .forEach((name) => { loc[name] = gl.getUniformLocation(program, name); });
+
+    onStatus("Loading 3D model…");
+
+    const mesh = parseOBJ(await fetchText(opts.src));
+
+    // Materials only add colour; a missing MTL or texture still shows the shape.
+    const mtlPaths = opts.mtl === false ? [] : opts.mtl ? [opts.mtl] : mesh.mtllibs.map((name) => baseOf(opts.src) + name);
+    const materials = {};
+    for (const path of mtlPaths){
+      try{
+        const parsed = parseMTL(await fetchText(path));
+        Object.keys(parsed).forEach((name) => { materials[name] = Object.assign(parsed[name], { base: baseOf(path) }); });
+      } catch(e){
+        console.warn("OBJ material skipped:", e);
+      }
+    }
 
-    setStatus(statusEl, "Loading 3D model…");
-
-    let obj, mtl, mesh, tex = null;
-    try{
-      obj = await fetchText(opts.objPath);
-      mesh = parseOBJ(obj);
-      if (opts.mtlPath){
-        mtl = await fetchText(opts.mtlPath);
-        const m = parseMTL(mtl);
-        if (m.mapKd){
-          const base = opts.mtlPath.substring(0, opts.mtlPath.lastIndexOf("/") + 1);
-          const texUrl = base + m.mapKd;
-          const img = await loadImage(texUrl);
-          tex = createTexture(gl, img);
-        }
+    const textures = new Map(); // url + clamp -> Promise<WebGLTexture|null>
+    function textureFor(map, base){
+      if (!map || !map.file) return Promise.resolve(null);
+      const url = base + map.file;
+      const key = url + (map.clamp ? "#clamp" : "");
+      if (!textures.has(key)){
+        textures.set(key, loadImage(url).then((img) => createTexture(gl, img, map.clamp), (e) => {
+          console.warn("OBJ texture skipped:", e);
+          return null;
+        }));
       }
-    } catch(e){
-      console.error(e);
-      setStatus(statusEl, "3D viewer failed to load: " + e.message);
-      return;
+      return textures.get(key);
     }
 
+    // One draw call per group; opaque groups first so blending sees what is behind.
+    const draws = await Promise.all(mesh.groups.map(async (g) => {
+      const mat = materials[g.material] || FALLBACK_MATERIAL;
+      return {
+        start: g.start,
+        count: g.count,
+        mat,
+        tex: await textureFor(mat.map_Kd, mat.base),
+        normalTex: await textureFor(mat.map_Bump, mat.base),
+        transparent: mat.d < 1
+      };
+    }));
+    draws.sort((a, b) => a.transparent - b.transparent);
+
     // buffers
+    const buffers = [];
     function makeVBO(data, attribLoc, size){
       const b = gl.createBuffer();
       gl.bindBuffer(gl.ARRAY_BUFFER, b);
       gl.bufferData(gl.ARRAY_BUFFER, data, gl.STATIC_DRAW);
       gl.enableVertexAttribArray(attribLoc);
       gl.vertexAttribPointer(attribLoc, size, gl.FLOAT, false, 0, 0);
+      buffers.push(b);
       return b;
     }
-    const posB = makeVBO(mesh.position, loc.aPos, 3);
-    const norB = makeVBO(mesh.normal, loc.aNor, 3);
-    const uvB  = makeVBO(mesh.uv, loc.aUV, 2);
+    makeVBO(mesh.position, loc.aPos, 3);
+    makeVBO(mesh.normal, loc.aNor, 3);
+    makeVBO(mesh.uv, loc.aUV, 2);
+    if (loc.aTan >= 0) makeVBO(mesh.tangent, loc.aTan, 4);
 
-    const vertexCount = mesh.position.length / 3;
+    gl.uniform1i(loc.uTex, 0);
+    gl.uniform1i(loc.uNormalMap, 1);
 
-    // texture setup
-    gl.activeTexture(gl.TEXTURE0);
-    if (tex){
-      gl.bindTexture(gl.TEXTURE_2D, tex);
-      gl.uniform1i(loc.uTex, 0);
-      gl.uniform1i(loc.uHasTex, 1);
-    } else {
-      gl.uniform1i(loc.uHasTex, 0);
+    function xform(map){
+      return map ? [map.offset[0], map.offset[1], map.scale[0], map.scale[1]] : [0,0,1,1];
     }
 
-    // camera / controls
-    let target = mesh.center.slice();
-    let radius = mesh.radius;
-    let theta = Math.PI * 0.15;
-    let phi = Math.PI * 0.35;
-    let dist = radius * 2.6;
-
-    // Clear the loading message once assets are ready.
-    setStatus(statusEl, "");
-
-    
-  // Interaction: pointer drag to rotate, right-drag (or Shift+drag) to pan, wheel to zoom.
-  // Uses Pointer Events so it works on desktop + mobile consistently.
-  canvas.style.touchAction = "none";
-
-  let activePointerId = null;
-  let isDragging = false;
-  let isPanning = false;
-  let lastX = 0;
-  let lastY = 0;
+    function drawGroup(d){
+      const m = d.mat;
+      gl.uniform3fv(loc.uKd, m.Kd);
+      gl.uniform3fv(loc.uKa, m.Ka);
+      gl.uniform3fv(loc.uKs, m.Ks);
+      gl.uniform1f(loc.uNs, m.Ns);
+      gl.uniform1f(loc.uD, m.d);
+      gl.uniform1i(loc.uIllum, m.illum);
+
+      gl.activeTexture(gl.TEXTURE0);
+      gl.bindTexture(gl.TEXTURE_2D, d.tex);
+      gl.uniform1i(loc.uHasTex, d.tex ? 1 : 0);
+      gl.uniform4fv(loc.uTexXform, xform(m.map_Kd));
+
+      gl.activeTexture(gl.TEXTURE1);
+      gl.bindTexture(gl.TEXTURE_2D, d.normalTex);
+      gl.uniform1i(loc.uHasNormalMap, d.normalTex ? 1 : 0);
+      gl.uniform4fv(loc.uNormalXform, xform(m.map_Bump));
+      gl.uniform1f(loc.uNormalScale, m.map_Bump ? m.map_Bump.bumpScale : 1);
+
+      if (d.transparent){
+        gl.enable(gl.BLEND);
+        gl.blendFunc(gl.SRC_ALPHA, gl.ONE_MINUS_SRC_ALPHA);
+        gl.depthMask(false);
+      } else {
+        gl.disable(gl.BLEND);
+        gl.depthMask(true);
+      }
+      gl.drawArrays(gl.TRIANGLES, d.start, d.count);
+    }
 
-  function beginPointer(e) {
-    // Only track one pointer at a time.
-    if (activePointerId !== null) return;
+    gl.enable(gl.DEPTH_TEST);
+    gl.enable(gl.CULL_FACE);
+    gl.cullFace(gl.BACK);
 
-    activePointerId = e.pointerId;
-    try { canvas.setPointerCapture(activePointerId); } catch (_) {}
+    // camera / controls: spherical orbit around `target` (phi from +Y, theta around it)
+    const home = { theta: Math.PI * 0.15, phi: Math.PI * 0.42, distance: mesh.radius * 2.6 };
+    const camera = {
+      target: mesh.center.slice(),
+      theta: home.theta,
+      phi: home.phi,
+      distance: home.distance,
+      minDistance: mesh.radius * 0.6,
+      maxDistance: mesh.radius * 12,
+      up: [0,1,0],
+      eye: [0,0,0],
+      updateEye(){
+        const s = Math.sin(this.phi);
+        this.eye = vec3Add(this.target, vec3Scale([s*Math.sin(this.theta), Math.cos(this.phi), s*Math.cos(this.theta)], this.distance));
+      }
+    };
+    camera.updateEye();
 
-    // Left button => rotate. Right button or Shift => pan.
-    // On touch, default to rotate.
-    const isRightButton = (typeof e.button === "number" && e.button === 2);
-    isPanning = isRightButton || e.shiftKey;
-    isDragging = !isPanning;
+    function resetView(){
+      camera.target = mesh.center.slice();
+      camera.theta = home.theta;
+      camera.phi = home.phi;
+      camera.distance = home.distance;
+      camera.updateEye();
+      spinPaused = false;
+    }
 
-    lastX = e.clientX;
-    lastY = e.clientY;
+    // Matches the canvas backing store to its CSS size (× `scale` for snapshots, at most
+    // 4096px a side); returns [width, height] in pixels.
+    function resize(scale = 1){
+      const rect = canvas.getBoundingClientRect();
+      const dpr = Math.min(Math.min(window.devicePixelRatio || 1, 2) * scale, 4096 / Math.max(1, rect.width, rect.height));
+      const w = Math.max(1, Math.floor(rect.width * dpr));
+      const h = Math.max(1, Math.floor(rect.height * dpr));
+      if (canvas.width !== w || canvas.height !== h){
+        canvas.width = w;
+        canvas.height = h;
+      }
+      gl.viewport(0, 0, w, h);
+      return [w, h];
+    }
 
-    e.preventDefault();
-  }
+    // Camera moves shared by pointer, wheel and (via js/modelviewer.js) keyboard input.
+    function orbit(dTheta, dPhi){
+      camera.theta += dTheta;
+      camera.phi = clamp(camera.phi + dPhi, 0.12, Math.PI - 0.12);
+      camera.updateEye();
+    }
 
-  function movePointer(e) {
-    if (activePointerId === null || e.pointerId !== activePointerId) return;
+    function dolly(factor){
+      camera.distance = clamp(camera.distance * factor, camera.minDistance, camera.maxDistance);
+      camera.updateEye();
+    }
 
-    const dx = e.clientX - lastX;
-    const dy = e.clientY - lastY;
-    lastX = e.clientX;
-    lastY = e.clientY;
+    // Pan in camera local space (screen-aligned), by screen pixels.
+    function pan(dx, dy){
+      const panSpeed = 0.0025 * camera.distance;
+      const forward = vec3Normalize(vec3Sub(camera.target, camera.eye));
+      const right = vec3Normalize(vec3Cross(forward, camera.up));
+      const up = vec3Cross(right, forward);
 
-    const rotSpeed = 0.006;
-    const panSpeed = 0.0025 * camera.distance;
+      const moveRight = vec3Scale(right, -dx * panSpeed);
+      const moveUp = vec3Scale(up, dy * panSpeed);
 
-    if (isDragging) {
-      camera.theta -= dx * rotSpeed;
-      camera.phi -= dy * rotSpeed;
-      camera.phi = Math.max(0.12, Math.min(Math.PI - 0.12, camera.phi));
+      camera.target = vec3Add(camera.target, vec3Add(moveRight, moveUp));
       camera.updateEye();
-      render();
-    } else if (isPanning) {
-      // Pan in camera local space (screen-aligned).
-      const right = normalize(cross(camera.eye, camera.up));
-      const up = normalize(camera.up);
-
-      const moveRight = scale(right, -dx * panSpeed);
-      const moveUp = scale(up, dy * panSpeed);
+    }
 
-      camera.target = add(camera.target, add(moveRight, moveUp));
-      camera.updateEye();
-      render();
+    // Interaction: one pointer drags to rotate (right-drag or Shift+drag pans); two
+    // pointers pinch to zoom, move together to pan and twist to turn; wheel zooms.
+    // Uses Pointer Events so it works on desktop + mobile consistently.
+    canvas.style.touchAction = "none";
+
+    const pointers = new Map(); // pointerId -> { x, y }
+    let isPanning = false;
+    let gesture = null; // { dist, angle, midX, midY } while two pointers are down
+
+    function twoPointerState(){
+      const [a, b] = Array.from(pointers.values());
+      return {
+        dist: Math.hypot(b.x - a.x, b.y - a.y) || 1,
+        angle: Math.atan2(b.y - a.y, b.x - a.x),
+        midX: (a.x + b.x) / 2,
+        midY: (a.y + b.y) / 2
+      };
     }
 
-    e.preventDefault();
-  }
+    function beginPointer(e){
+      if (pointers.size >= 2) return;
+      pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+      try { canvas.setPointerCapture(e.pointerId); } catch (_) {}
+
+      if (pointers.size === 1){
+        // Left button => rotate. Right button or Shift => pan.
+        const isRightButton = (typeof e.button === "number" && e.button === 2);
+        isPanning = isRightButton || e.shiftKey;
+      } else {
+        gesture = twoPointerState();
+      }
+      spinPaused = false;
 
-  function endPointer(e) {
-    if (activePointerId === null || e.pointerId !== activePointerId) return;
+      e.preventDefault();
+    }
 
-    try { canvas.releasePointerCapture(activePointerId); } catch (_) {}
-    activePointerId = null;
-    isDragging = false;
-    isPanning = false;
+    function movePointer(e){
+      const p = pointers.get(e.pointerId);
+      if (!p) return;
+
+      const dx = e.clientX - p.x;
+      const dy = e.clientY - p.y;
+      p.x = e.clientX;
+      p.y = e.clientY;
+
+      if (pointers.size === 1){
+        if (isPanning) pan(dx, dy);
+        else orbit(-dx * 0.006, -dy * 0.006);
+      } else if (gesture){
+        const next = twoPointerState();
+        dolly(gesture.dist / next.dist);
+        orbit(-(next.angle - gesture.angle), 0);
+        pan(next.midX - gesture.midX, next.midY - gesture.midY);
+        gesture = next;
+      }
 
-    e.preventDefault();
-  }
+      e.preventDefault();
+    }
 
-  canvas.addEventListener("pointerdown", beginPointer);
-  canvas.addEventListener("pointermove", movePointer);
-  canvas.addEventListener("pointerup", endPointer);
-  canvas.addEventListener("pointercancel", endPointer);
-  canvas.addEventListener("pointerleave", endPointer);
-
-  // Disable context menu so right-drag can pan.
-  canvas.addEventListener("contextmenu", (e) => e.preventDefault());
-
-  canvas.addEventListener("wheel", (e) => {
-    e.preventDefault();
-    // Zoom: wheel down => zoom out; wheel up => zoom in.
-    const delta = Math.sign(e.deltaY);
-    camera.distance *= (delta > 0) ? 1.08 : 0.92;
-    camera.distance = Math.max(0.6, Math.min(12, camera.distance));
-    camera.updateEye();
-    render();
-  }, { passive: false });
+    function endPointer(e){
+      if (!pointers.has(e.pointerId)) return;
 
+      try { canvas.releasePointerCapture(e.pointerId); } catch (_) {}
+      pointers.delete(e.pointerId);
+      gesture = null;
+      // The finger left behind carries on rotating from where it is.
+      isPanning = false;
 
-  addEventListener("resize", resize);
+      e.preventDefault();
+    }
 
-    gl.enable(gl.DEPTH_TEST);
-    gl.enable(gl.CULL_FACE);
-    gl.cullFace(gl.BACK);
+    function onWheel(e){
+      e.preventDefault();
+      // Zoom: wheel down => zoom out; wheel up => zoom in.
+      dolly(Math.sign(e.deltaY) > 0 ? 1.08 : 0.92);
+    }
 
-    setStatus(statusEl, ""); // clear
+    // Disable context menu so right-drag can pan.
+    const onContextMenu = (e) => e.preventDefault();
+
+    canvas.addEventListener("pointerdown", beginPointer);
+    canvas.addEventListener("pointermove", movePointer);
+    canvas.addEventListener("pointerup", endPointer);
+    canvas.addEventListener("pointercancel", endPointer);
+    canvas.addEventListener("pointerleave", endPointer);
+    canvas.addEventListener("contextmenu", onContextMenu);
+    canvas.addEventListener("wheel", onWheel, { passive: false });
+    canvas.addEventListener("dblclick", resetView);
+
+    // key and fill lights, fixed relative to the camera
+    const lightDir = new Float32Array(vec3Normalize([0.6, 0.9, 0.4]));
+    const fillDir = new Float32Array(vec3Normalize([-0.7, -0.2, 0.5]));
+    let frame = 0;
+    let last = 0;
+    let yaw = 0; // model turn about its centre; 0 faces +z
+    let spinPaused = false; // after setPose(), until the visitor moves the camera
+    let idleSpin = true; // off for prefers-reduced-motion
+    let running = true;
+    let heldYaw = null; // set by holdYaw() for turntable recording
+
+    // Expression pose from js/modelviewer.js: spin or face the viewer, tilt, swell, glow.
+    const pose = opts.pose || { update: () => ({ spin: 1, tilt: 0, glow: 0, swell: 0 }) };
+
+    function modelMatrix(p, dt){
+      // subtle idle turn while nobody is holding the model
+      if (pointers.size === 0 && idleSpin && !spinPaused) yaw += 0.09 * dt * p.spin;
+      const off = wrapAngle(camera.theta - yaw);
+      yaw += off * (1 - p.spin) * (1 - Math.exp(-dt / 0.15));
+      if (heldYaw !== null) yaw = heldYaw;
+      let m = mat4Translate(mesh.center);
+      m = mat4Mul(m, mat4RotateY(yaw));
+      m = mat4Mul(m, mat4RotateX(p.tilt));
+      m = mat4Mul(m, mat4Scale([1 + 0.15 * p.swell, 1 + 0.03 * p.swell, 1]));
+      return mat4Mul(m, mat4Translate(vec3Scale(mesh.center, -1)));
+    }
 
-    function render(){
-      const [w,h] = resize();
+    function drawFrame(dt, scale){
+      const [w,h] = resize(scale);
       gl.clearColor(0,0,0,0);
       gl.clear(gl.COLOR_BUFFER_BIT | gl.DEPTH_BUFFER_BIT);
 
-      const aspect = w / h;
-      const proj = mat4Perspective(45*Math.PI/180, aspect, 0.01, 1000);
-      const eye = getEye();
-      const view = mat4LookAt(eye, target, [0,1,0]);
-
-      // model transform: center to origin, mild scale
-      const T = mat4Identity();
-      // translate by -center (baked via MV by shifting target, but keep stable)
-      // We'll do nothing here; OBJ coordinates already used and target is center.
+      const p = pose.update(dt);
+      const proj = mat4Perspective(45*Math.PI/180, w / h, camera.distance * 0.01, camera.distance * 20);
+      const view = mat4LookAt(camera.eye, camera.target, camera.up);
 
-      const mv = view; // no model matrix
+      const mv = mat4Mul(view, modelMatrix(p, dt));
       const mvp = mat4Mul(proj, mv);
 
+      gl.uniform1f(loc.uGlow, p.glow);
+
       gl.uniformMatrix4fv(loc.uMV, false, new Float32Array(mv));
       gl.uniformMatrix4fv(loc.uMVP, false, new Float32Array(mvp));
+      gl.uniform3fv(loc.uLightDir, lightDir);
+      gl.uniform3fv(loc.uFillDir, fillDir);
+
+      draws.forEach(drawGroup);
+      gl.depthMask(true);
+    }
+
+    function render(now){
+      const dt = last ? Math.min((now - last) / 1000, 0.1) : 0;
+      last = now;
+      drawFrame(dt, 1);
+      frame = requestAnimationFrame(render);
+    }
+    frame = requestAnimationFrame(render);
+
+    // Stops and restarts the render loop (e.g. while the canvas is off-screen).
+    function setRunning(on){
+      if (on === running) return;
+      running = on;
+      cancelAnimationFrame(frame);
+      if (on){
+        last = 0;
+        frame = requestAnimationFrame(render);
+      }
+    }
 
-      gl.uniform3fv(loc.uLightDir, new Float32Array(vec3Normalize([0.6, 0.9, 0.4])));
+    // { azimuth, polar, zoom }: the camera's angle around the model relative to its face,
+    // its angle from straight above, and its distance as a multiple of the framed distance.
+    function getPose(){
+      return { azimuth: wrapAngle(camera.theta - yaw), polar: camera.phi, zoom: camera.distance / home.distance };
+    }
+
+    // Moves the camera to `pose` and stops the idle turn until the visitor takes over.
+    function setPose(pose){
+      camera.theta = pose.azimuth + yaw;
+      camera.phi = clamp(pose.polar, 0.12, Math.PI - 0.12);
+      camera.distance = clamp(pose.zoom * home.distance, camera.minDistance, camera.maxDistance);
+      camera.updateEye();
+      spinPaused = true;
+    }
+
+    function holdYaw(angle){
+      heldYaw = angle === null || angle === undefined ? null : angle;
+    }
 
-      gl.drawArrays(gl.TRIANGLES, 0, vertexCount);
+    // Draws one frame at `scale` × the on-screen resolution and resolves to it as a
+    // transparent PNG. The next animation frame puts the canvas back to its normal size.
+    function snapshot(scale = 2){
+      drawFrame(0, scale);
+      // toBlob copies the drawing buffer now, before the browser clears it.
+      return new Promise((resolve) => canvas.toBlob(resolve, "image/png"));
+    }
 
-      requestAnimationFrame(render);
+    onStatus("Loaded. Drag to rotate • scroll or pinch to zoom • right-drag to pan • arrow keys and +/- work too • double‑click to reset.");
+
+    function destroy(){
+      running = false;
+      cancelAnimationFrame(frame);
+      canvas.removeEventListener("pointerdown", beginPointer);
+      canvas.removeEventListener("pointermove", movePointer);
+      canvas.removeEventListener("pointerup", endPointer);
+      canvas.removeEventListener("pointercancel", endPointer);
+      canvas.removeEventListener("pointerleave", endPointer);
+      canvas.removeEventListener("contextmenu", onContextMenu);
+      canvas.removeEventListener("wheel", onWheel);
+      canvas.removeEventListener("dblclick", resetView);
+      buffers.forEach((b) => gl.deleteBuffer(b));
+      textures.forEach((p) => p.then((tex) => { if (tex) gl.deleteTexture(tex); }));
+      gl.deleteProgram(program);
     }
-    requestAnimationFrame(render);
-  };
+
+    return {
+      kind: "webgl",
+      canvas,
+      resetView,
+      destroy,
+      getPose,
+      setPose,
+      getYaw: () => yaw,
+      holdYaw,
+      snapshot,
+      orbit,
+      dolly,
+      pan,
+      setRunning,
+      setIdleSpin: (on) => { idleSpin = !!on; }
+    };
+  }
+
+  window.WstObjViewer = { createObjViewer, parseOBJ, parseMTL };
 })();
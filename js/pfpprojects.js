@@ -0,0 +1,150 @@
+/* PFP Forge projects (IndexedDB, no external dependencies)
+ * - A project is the whole design as JSON: the base photo (as a data: URL) and its crop, the
+ *   caption, frame and every sticker layer with its image, position, size, rotation and flags
+ * - Saved projects live in IndexedDB (database "wst_pfp"); memory is the fallback where
+ *   IndexedDB is unavailable (private mode, file://), so they last until the tab closes
+ * - The same JSON is what "Export project" downloads and "Open project" reads back
+ *
+ * Exposes window.WstPfpProjects = { VERSION, list, get, save, remove, toJson, parseProject }.
+ */
+(function () {
+  "use strict";
+
+  const DB_NAME = "wst_pfp";
+  const STORE = "projects";
+  const VERSION = 1;
+  const TEXT_MODES = ["top", "bottom", "both"];
+  const FRAMES = ["none", "gold", "seal"];
+  // Images must travel inside the project; a remote URL would also taint the canvas on export.
+  const IMAGE_URL = /^data:image\/(png|jpeg|gif|webp|svg\+xml)[;,]/;
+
+  let dbPromise = null;
+  const memory = new Map(); // id -> project (fallback only)
+
+  function reqDone(req) {
+    return new Promise((resolve, reject) => {
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+  }
+
+  function openDb() {
+    if (dbPromise) return dbPromise;
+    dbPromise = new Promise((resolve) => {
+      if (typeof indexedDB === "undefined") return resolve(null);
+      let req;
+      try { req = indexedDB.open(DB_NAME, 1); } catch (_) { return resolve(null); }
+      req.onupgradeneeded = () => {
+        req.result.createObjectStore(STORE, { keyPath: "id" });
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => resolve(null);
+      req.onblocked = () => resolve(null);
+    });
+    return dbPromise;
+  }
+
+  function num(v, fallback) {
+    const n = Number(v);
+    return isFinite(n) ? n : fallback;
+  }
+
+  function isImageUrl(src) {
+    return typeof src === "string" && IMAGE_URL.test(src);
+  }
+
+  function normalizeSticker(s) {
+    if (!s || typeof s !== "object" || !isImageUrl(s.src)) return null;
+    const w = num(s.w, 0);
+    const h = num(s.h, 0);
+    if (w <= 0 || h <= 0) return null;
+    return {
+      src: s.src,
+      key: String(s.key || ""),
+      label: String(s.label || "Sticker").slice(0, 60),
+      x: num(s.x, 0),
+      y: num(s.y, 0),
+      w,
+      h,
+      rot: num(s.rot, 0),
+      hidden: !!s.hidden,
+      locked: !!s.locked
+    };
+  }
+
+  function normalizeBase(b) {
+    if (!b || typeof b !== "object" || !isImageUrl(b.src)) return null;
+    const crop = b.crop || {};
+    const s = num(crop.s, 0);
+    return { src: b.src, crop: s > 0 ? { sx: num(crop.sx, 0), sy: num(crop.sy, 0), s } : null };
+  }
+
+  /**
+   * Checks a project (a parsed object or JSON text) and returns a clean copy, or throws
+   * an Error saying what is wrong. Stickers whose image is missing are dropped.
+   */
+  function parseProject(input) {
+    let p = input;
+    if (typeof input === "string") {
+      try { p = JSON.parse(input); } catch (_) { throw new Error("This is not a PFP Forge project (not JSON)."); }
+    }
+    if (!p || typeof p !== "object" || !Array.isArray(p.stickers)) {
+      throw new Error("This is not a PFP Forge project.");
+    }
+    if (num(p.version, 0) > VERSION) {
+      throw new Error("This project was saved by a newer PFP Forge.");
+    }
+    return {
+      version: VERSION,
+      id: typeof p.id === "string" && p.id ? p.id : "",
+      name: String(p.name || "Untitled").trim().slice(0, 60) || "Untitled",
+      savedAt: num(p.savedAt, 0),
+      base: normalizeBase(p.base),
+      textMode: TEXT_MODES.includes(p.textMode) ? p.textMode : "bottom",
+      frame: FRAMES.includes(p.frame) ? p.frame : "gold",
+      text: String(p.text == null ? "" : p.text).slice(0, 200),
+      stickers: p.stickers.map(normalizeSticker).filter(Boolean)
+    };
+  }
+
+  function toJson(project) {
+    return JSON.stringify(parseProject(project));
+  }
+
+  // Saved projects without their images, newest first: [{ id, name, savedAt, layers }].
+  async function list() {
+    const db = await openDb();
+    const all = db ? await reqDone(db.transaction(STORE).objectStore(STORE).getAll()) : Array.from(memory.values());
+    return all
+      .map((p) => ({ id: p.id, name: p.name, savedAt: p.savedAt, layers: p.stickers.length }))
+      .sort((a, b) => b.savedAt - a.savedAt);
+  }
+
+  async function get(id) {
+    const db = await openDb();
+    const p = db ? await reqDone(db.transaction(STORE).objectStore(STORE).get(id)) : memory.get(id);
+    return p ? parseProject(p) : null;
+  }
+
+  /**
+   * Stores `project`, replacing the saved one with the same id; a project without an id
+   * gets a new one. Resolves to the stored project.
+   */
+  async function save(project) {
+    const p = parseProject(project);
+    p.id = p.id || "pfp_" + Date.now().toString(36) + Math.random().toString(36).slice(2, 8);
+    p.savedAt = Date.now();
+    const db = await openDb();
+    if (db) await reqDone(db.transaction(STORE, "readwrite").objectStore(STORE).put(p));
+    else memory.set(p.id, p);
+    return p;
+  }
+
+  async function remove(id) {
+    const db = await openDb();
+    if (db) await reqDone(db.transaction(STORE, "readwrite").objectStore(STORE).delete(id));
+    else memory.delete(id);
+  }
+
+  window.WstPfpProjects = { VERSION, list, get, save, remove, toJson, parseProject };
+})();
@@ -0,0 +1,299 @@
+/* Canvas price/volume chart and sparklines (no external dependencies)
+ * - Price line over the top of the chart, 5m volume bars along the bottom
+ * - Samples are bucketed to the canvas width, so a 7d window draws as fast as 1h
+ * - Crosshair with a tooltip for the nearest sample (mouse, pen and touch)
+ * - Redraws on resize and devicePixelRatio changes
+ *
+ * Exposes window.WstPriceChart = { createPriceChart, drawSparkline }.
+ */
+(function () {
+  "use strict";
+
+  const GOLD = "rgba(218,165,32,0.95)";
+  const JADE = "rgba(122,255,192,0.85)";
+  const GRID = "rgba(232,227,214,0.10)";
+  const TEXT = "rgba(232,227,214,0.66)";
+  const VOLUME = "rgba(218,165,32,0.28)";
+
+  // Sizes the backing store to the element and returns a context in CSS pixels.
+  function prepare(canvas) {
+    const dpr = window.devicePixelRatio || 1;
+    const w = Math.max(1, canvas.clientWidth);
+    const h = Math.max(1, canvas.clientHeight);
+    if (canvas.width !== Math.round(w * dpr) || canvas.height !== Math.round(h * dpr)) {
+      canvas.width = Math.round(w * dpr);
+      canvas.height = Math.round(h * dpr);
+    }
+    const ctx = canvas.getContext("2d");
+    ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+    ctx.clearRect(0, 0, w, h);
+    return { ctx, w, h };
+  }
+
+  // One point per bucket: the last price, the largest 5m volume.
+  function bucket(samples, from, to, count) {
+    const out = [];
+    const span = Math.max(1, to - from);
+    let cur = null;
+    samples.forEach((s) => {
+      if (!isFinite(s.price)) return;
+      const i = Math.min(count - 1, Math.floor(((s.t - from) / span) * count));
+      if (!cur || cur.i !== i) {
+        cur = { i, t: s.t, price: s.price, vol: s.vol5m, sample: s };
+        out.push(cur);
+      } else {
+        cur.t = s.t;
+        cur.price = s.price;
+        cur.sample = s;
+        if (isFinite(s.vol5m) && !(cur.vol >= s.vol5m)) cur.vol = s.vol5m;
+      }
+    });
+    return out;
+  }
+
+  function extent(values) {
+    let lo = Infinity;
+    let hi = -Infinity;
+    values.forEach((v) => {
+      if (!isFinite(v)) return;
+      if (v < lo) lo = v;
+      if (v > hi) hi = v;
+    });
+    if (lo === Infinity) return [0, 1];
+    if (lo === hi) return [lo * 0.99, hi * 1.01 || 1];
+    return [lo, hi];
+  }
+
+  function fmtPrice(n) {
+    if (!isFinite(n)) return "—";
+    return "$" + n.toFixed(n < 1 ? 6 : 4);
+  }
+
+  function fmtCompact(n) {
+    if (!isFinite(n)) return "—";
+    const abs = Math.abs(n);
+    if (abs >= 1e9) return "$" + (n / 1e9).toFixed(2) + "B";
+    if (abs >= 1e6) return "$" + (n / 1e6).toFixed(2) + "M";
+    if (abs >= 1e3) return "$" + (n / 1e3).toFixed(2) + "K";
+    return "$" + n.toFixed(2);
+  }
+
+  function fmtTime(t, spanMs) {
+    const d = new Date(t);
+    if (spanMs > 24 * 60 * 60 * 1000) {
+      return d.toLocaleDateString(undefined, { month: "short", day: "numeric" }) + " " +
+        d.toLocaleTimeString(undefined, { hour: "2-digit", minute: "2-digit" });
+    }
+    return d.toLocaleTimeString(undefined, { hour: "2-digit", minute: "2-digit" });
+  }
+
+  /**
+   * Interactive chart on `canvas`. `tooltip` (optional) is an element the
+   * chart positions and fills while the pointer is over it.
+   * Returns { setData(samples, windowMs), redraw(), destroy() }.
+   */
+  function createPriceChart(canvas, opts = {}) {
+    const tooltip = opts.tooltip || null;
+    const pad = { top: 10, right: 64, bottom: 22, left: 8 };
+
+    let samples = [];
+    let windowMs = 24 * 60 * 60 * 1000;
+    let points = [];
+    let layout = null;
+    let hover = null;
+
+    function draw() {
+      const { ctx, w, h } = prepare(canvas);
+      const to = Date.now();
+      const from = to - windowMs;
+      const plotW = Math.max(1, w - pad.left - pad.right);
+      const plotH = Math.max(1, h - pad.top - pad.bottom);
+      const priceH = plotH * 0.72;
+      const volTop = pad.top + plotH * 0.78;
+      const volH = plotH - (volTop - pad.top);
+
+      points = bucket(samples, from, to, Math.max(2, Math.floor(plotW / 2)));
+      const [lo, hi] = extent(points.map((p) => p.price));
+      const [, vhi] = extent(points.map((p) => p.vol));
+      const x = (t) => pad.left + ((t - from) / windowMs) * plotW;
+      const y = (price) => pad.top + priceH - ((price - lo) / (hi - lo)) * priceH;
+      layout = { x, y, from, to };
+
+      ctx.font = "10px Georgia, serif";
+      ctx.lineWidth = 1;
+
+      // Grid and axis labels.
+      ctx.strokeStyle = GRID;
+      ctx.fillStyle = TEXT;
+      ctx.textBaseline = "middle";
+      for (let i = 0; i <= 3; i++) {
+        const price = lo + ((hi - lo) * i) / 3;
+        const gy = Math.round(y(price)) + 0.5;
+        ctx.beginPath();
+        ctx.moveTo(pad.left, gy);
+        ctx.lineTo(pad.left + plotW, gy);
+        ctx.stroke();
+        ctx.fillText(fmtPrice(price), pad.left + plotW + 6, gy);
+      }
+      ctx.textBaseline = "alphabetic";
+      for (let i = 0; i <= 3; i++) {
+        const t = from + (windowMs * i) / 3;
+        const label = fmtTime(t, windowMs);
+        const lx = Math.min(pad.left + plotW - ctx.measureText(label).width, Math.max(pad.left, x(t) - ctx.measureText(label).width / 2));
+        ctx.fillText(label, lx, h - 6);
+      }
+
+      if (!points.length) {
+        ctx.fillStyle = TEXT;
+        ctx.textAlign = "center";
+        ctx.fillText("No history in this window yet. It fills in as the terminal refreshes.", pad.left + plotW / 2, pad.top + priceH / 2);
+        ctx.textAlign = "start";
+        return;
+      }
+
+      // Volume bars.
+      ctx.fillStyle = VOLUME;
+      const barW = Math.max(1, plotW / Math.max(2, Math.floor(plotW / 2)) - 0.5);
+      points.forEach((p) => {
+        if (!isFinite(p.vol) || vhi <= 0) return;
+        const bh = (p.vol / vhi) * volH;
+        ctx.fillRect(x(p.t) - barW / 2, volTop + volH - bh, barW, bh);
+      });
+
+      // Price line.
+      ctx.strokeStyle = GOLD;
+      ctx.lineWidth = 1.5;
+      ctx.beginPath();
+      points.forEach((p, i) => (i ? ctx.lineTo(x(p.t), y(p.price)) : ctx.moveTo(x(p.t), y(p.price))));
+      ctx.stroke();
+
+      if (hover) {
+        const hx = x(hover.t);
+        const hy = y(hover.price);
+        ctx.strokeStyle = JADE;
+        ctx.lineWidth = 1;
+        ctx.setLineDash([3, 3]);
+        ctx.beginPath();
+        ctx.moveTo(hx, pad.top);
+        ctx.lineTo(hx, pad.top + plotH);
+        ctx.moveTo(pad.left, hy);
+        ctx.lineTo(pad.left + plotW, hy);
+        ctx.stroke();
+        ctx.setLineDash([]);
+        ctx.fillStyle = JADE;
+        ctx.beginPath();
+        ctx.arc(hx, hy, 3, 0, Math.PI * 2);
+        ctx.fill();
+      }
+    }
+
+    function showTooltip(p, clientX, clientY) {
+      if (!tooltip) return;
+      if (!p) {
+        tooltip.hidden = true;
+        return;
+      }
+      const s = p.sample;
+      tooltip.textContent = "";
+      [
+        new Date(s.t).toLocaleString(),
+        "Price " + fmtPrice(s.price),
+        "5m Vol " + fmtCompact(s.vol5m),
+        "24h Vol " + fmtCompact(s.vol24h),
+        "Liq " + fmtCompact(s.liquidity)
+      ].forEach((line) => {
+        const div = document.createElement("div");
+        div.textContent = line;
+        tooltip.appendChild(div);
+      });
+      tooltip.hidden = false;
+      const box = canvas.getBoundingClientRect();
+      const left = clientX - box.left + 12;
+      const flip = left + tooltip.offsetWidth > box.width;
+      tooltip.style.left = (flip ? clientX - box.left - tooltip.offsetWidth - 12 : left) + "px";
+      tooltip.style.top = Math.max(0, clientY - box.top - tooltip.offsetHeight - 8) + "px";
+    }
+
+    function nearest(clientX) {
+      if (!layout || !points.length) return null;
+      const box = canvas.getBoundingClientRect();
+      const px = clientX - box.left;
+      let best = null;
+      let bestD = Infinity;
+      points.forEach((p) => {
+        const d = Math.abs(layout.x(p.t) - px);
+        if (d < bestD) { bestD = d; best = p; }
+      });
+      return best;
+    }
+
+    function onMove(e) {
+      hover = nearest(e.clientX);
+      draw();
+      showTooltip(hover, e.clientX, e.clientY);
+    }
+
+    function onLeave() {
+      hover = null;
+      draw();
+      showTooltip(null);
+    }
+
+    canvas.addEventListener("pointermove", onMove);
+    canvas.addEventListener("pointerdown", onMove);
+    canvas.addEventListener("pointerleave", onLeave);
+    canvas.addEventListener("pointercancel", onLeave);
+
+    const ro = typeof ResizeObserver !== "undefined" ? new ResizeObserver(() => draw()) : null;
+    if (ro) ro.observe(canvas);
+    else window.addEventListener("resize", draw);
+
+    return {
+      setData(next, nextWindowMs) {
+        samples = next || [];
+        if (nextWindowMs) windowMs = nextWindowMs;
+        hover = null;
+        showTooltip(null);
+        draw();
+      },
+      redraw: draw,
+      destroy() {
+        if (ro) ro.disconnect();
+        else window.removeEventListener("resize", draw);
+        canvas.removeEventListener("pointermove", onMove);
+        canvas.removeEventListener("pointerdown", onMove);
+        canvas.removeEventListener("pointerleave", onLeave);
+        canvas.removeEventListener("pointercancel", onLeave);
+      }
+    };
+  }
+
+  // Small price line with no axes; green when the window closed up, red when down.
+  function drawSparkline(canvas, samples) {
+    const { ctx, w, h } = prepare(canvas);
+    const prices = (samples || []).map((s) => s.price).filter((v) => isFinite(v));
+    if (prices.length < 2) {
+      ctx.strokeStyle = GRID;
+      ctx.beginPath();
+      ctx.moveTo(0, h / 2);
+      ctx.lineTo(w, h / 2);
+      ctx.stroke();
+      return;
+    }
+    // Thin out long series to roughly one point per pixel.
+    const step = Math.max(1, Math.floor(prices.length / w));
+    const pts = prices.filter((_, i) => i % step === 0 || i === prices.length - 1);
+    const [lo, hi] = extent(pts);
+    ctx.strokeStyle = pts[pts.length - 1] >= pts[0] ? JADE : "rgba(255,68,68,0.85)";
+    ctx.lineWidth = 1.25;
+    ctx.beginPath();
+    pts.forEach((p, i) => {
+      const px = (i / (pts.length - 1)) * (w - 2) + 1;
+      const py = h - 2 - ((p - lo) / (hi - lo)) * (h - 4);
+      i ? ctx.lineTo(px, py) : ctx.moveTo(px, py);
+    });
+    ctx.stroke();
+  }
+
+  window.WstPriceChart = { createPriceChart, drawSparkline };
+})();
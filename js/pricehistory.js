@@ -0,0 +1,128 @@
+/* Rolling price history (IndexedDB, no external dependencies)
+ * - One sample per market-data response, keyed by pair address and the snapshot's fetchedAt
+ * - Keeps the last 7 days per pair; older samples are pruned as new ones arrive
+ * - Falls back to memory when IndexedDB is unavailable (private mode, file://)
+ * - CSV export of any window
+ *
+ * Exposes window.WstPriceHistory = { record, range, latest, toCsv, WINDOWS, RETENTION_MS }.
+ */
+(function () {
+  "use strict";
+
+  const DB_NAME = "wst_market";
+  const STORE = "samples";
+  const RETENTION_MS = 7 * 24 * 60 * 60 * 1000;
+  const PRUNE_EVERY_MS = 10 * 60 * 1000;
+
+  const WINDOWS = {
+    "1h": 60 * 60 * 1000,
+    "24h": 24 * 60 * 60 * 1000,
+    "7d": RETENTION_MS
+  };
+
+  let dbPromise = null;
+  const memory = new Map(); // pair -> samples (fallback only)
+  const lastPrune = new Map(); // pair -> time of last prune
+
+  function reqDone(req) {
+    return new Promise((resolve, reject) => {
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+  }
+
+  function openDb() {
+    if (dbPromise) return dbPromise;
+    dbPromise = new Promise((resolve) => {
+      if (typeof indexedDB === "undefined") return resolve(null);
+      let req;
+      try { req = indexedDB.open(DB_NAME, 1); } catch (_) { return resolve(null); }
+      req.onupgradeneeded = () => {
+        req.result.createObjectStore(STORE, { keyPath: ["pair", "t"] });
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => resolve(null);
+      req.onblocked = () => resolve(null);
+    });
+    return dbPromise;
+  }
+
+  function toSample(snap, t) {
+    return {
+      pair: snap.pairAddress,
+      t,
+      price: snap.priceUsd,
+      vol5m: snap.volume.m5,
+      vol24h: snap.volume.h24,
+      liquidity: snap.liquidityUsd
+    };
+  }
+
+  function pairRange(pair, from, to) {
+    return IDBKeyRange.bound([pair, from], [pair, to]);
+  }
+
+  async function prune(db, pair, t) {
+    if (t - (lastPrune.get(pair) || 0) < PRUNE_EVERY_MS) return;
+    lastPrune.set(pair, t);
+    const cutoff = t - RETENTION_MS;
+    if (!db) {
+      const list = memory.get(pair) || [];
+      memory.set(pair, list.filter((s) => s.t >= cutoff));
+      return;
+    }
+    const tx = db.transaction(STORE, "readwrite");
+    tx.objectStore(STORE).delete(pairRange(pair, 0, cutoff - 1));
+  }
+
+  /**
+   * Stores one market-data snapshot. Samples are keyed by pair and `t`, which defaults
+   * to the snapshot's fetchedAt: views that were handed the same response store it once.
+   */
+  async function record(snap, t = snap && snap.fetchedAt) {
+    if (!snap || !snap.pairAddress || !isFinite(snap.priceUsd) || !isFinite(t)) return;
+    const sample = toSample(snap, t);
+    const db = await openDb();
+    if (db) {
+      try {
+        await reqDone(db.transaction(STORE, "readwrite").objectStore(STORE).put(sample));
+      } catch (e) {
+        console.warn("Price history write failed:", e);
+      }
+    } else {
+      const list = memory.get(sample.pair) || [];
+      if (!list.length || list[list.length - 1].t < t) list.push(sample);
+      memory.set(sample.pair, list);
+    }
+    prune(db, sample.pair, t);
+  }
+
+  // Samples for `pair` between `from` and `to`, oldest first.
+  async function range(pair, from, to = Date.now()) {
+    const db = await openDb();
+    if (!db) return (memory.get(pair) || []).filter((s) => s.t >= from && s.t <= to);
+    try {
+      return await reqDone(db.transaction(STORE).objectStore(STORE).getAll(pairRange(pair, from, to)));
+    } catch (e) {
+      console.warn("Price history read failed:", e);
+      return [];
+    }
+  }
+
+  // Samples for `pair` inside one of WINDOWS ("1h", "24h", "7d").
+  function latest(pair, windowName = "24h") {
+    const now = Date.now();
+    return range(pair, now - (WINDOWS[windowName] || WINDOWS["24h"]), now);
+  }
+
+  function toCsv(samples) {
+    const cell = (v) => (isFinite(v) ? String(v) : "");
+    const lines = ["time,price_usd,volume_5m_usd,volume_24h_usd,liquidity_usd"];
+    samples.forEach((s) => {
+      lines.push([new Date(s.t).toISOString(), cell(s.price), cell(s.vol5m), cell(s.vol24h), cell(s.liquidity)].join(","));
+    });
+    return lines.join("\n") + "\n";
+  }
+
+  window.WstPriceHistory = { record, range, latest, toCsv, WINDOWS, RETENTION_MS };
+})();
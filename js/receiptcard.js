@@ -0,0 +1,191 @@
+/* Shareable receipt cards (no external dependencies)
+ * - Draws one Receipt Vault entry onto a 1200×630 canvas: side, amounts, time,
+ *   status, signature and note, with the owl and the PFP Forge's "seal" frame
+ * - Downloads it as a PNG through js/download.js, like the PFP Forge's exports
+ *
+ * Exposes window.WstReceiptCard = { drawReceiptCard, downloadReceiptCard, W, H }.
+ */
+(function () {
+  "use strict";
+
+  const W = 1200;
+  const H = 630;
+  const OWL_SRC = "wan-shi-tong.png";
+  const GOLD = "#daa520";
+  const PARCHMENT = "#e8d5b7";
+  const MONO = 'ui-monospace, SFMono-Regular, Menlo, Consolas, "Liberation Mono", monospace';
+
+  let owlPromise = null;
+
+  // Same-origin, so the canvas stays exportable. Resolves to null if the image is missing.
+  function loadOwl() {
+    if (owlPromise) return owlPromise;
+    owlPromise = new Promise((resolve) => {
+      const img = new Image();
+      img.onload = () => resolve(img);
+      img.onerror = () => resolve(null);
+      img.src = OWL_SRC;
+    });
+    return owlPromise;
+  }
+
+  function fmt(n, digits) {
+    return Number(n).toLocaleString(undefined, { maximumFractionDigits: digits });
+  }
+
+  // The PFP Forge's "seal" frame: a double rule with heavy corners.
+  function drawFrame(ctx) {
+    ctx.save();
+    ctx.strokeStyle = GOLD;
+    ctx.globalAlpha = 0.95;
+    ctx.lineWidth = 8;
+    const m = 22;
+    ctx.strokeRect(m, m, W - m * 2, H - m * 2);
+    ctx.globalAlpha = 0.22;
+    ctx.lineWidth = 3;
+    ctx.strokeRect(m + 14, m + 14, W - (m + 14) * 2, H - (m + 14) * 2);
+    ctx.globalAlpha = 0.9;
+    ctx.lineWidth = 8;
+    const c = 52;
+    const corner = (x, y, dx, dy) => {
+      ctx.beginPath();
+      ctx.moveTo(x, y + dy * c);
+      ctx.lineTo(x, y);
+      ctx.lineTo(x + dx * c, y);
+      ctx.stroke();
+    };
+    corner(m, m, 1, 1);
+    corner(W - m, m, -1, 1);
+    corner(m, H - m, 1, -1);
+    corner(W - m, H - m, -1, -1);
+    ctx.restore();
+  }
+
+  function headline(d) {
+    if (!d) return { title: "SEALED RECEIPT", color: PARCHMENT, amount: "", sol: "" };
+    if (d.status === "failed") return { title: "FAILED TRANSACTION", color: "#ff6b6b", amount: "", sol: "" };
+    const tokens = Math.abs(d.tokenDelta);
+    const sol = Math.abs(d.solDelta);
+    switch (d.side) {
+      case "buy":
+        return { title: "ACQUIRED", color: "#7affc0", amount: "+" + fmt(tokens, 2) + " $WanShiTong", sol: "for " + fmt(sol, 4) + " SOL" };
+      case "sell":
+        return { title: "RELEASED", color: "#ff8c78", amount: "−" + fmt(tokens, 2) + " $WanShiTong", sol: "for " + fmt(sol, 4) + " SOL" };
+      case "transfer-in":
+        return { title: "RECEIVED", color: "#7affc0", amount: "+" + fmt(tokens, 2) + " $WanShiTong", sol: "" };
+      case "transfer-out":
+        return { title: "SENT", color: "#ff8c78", amount: "−" + fmt(tokens, 2) + " $WanShiTong", sol: "" };
+      default:
+        return { title: "SEALED RECEIPT", color: PARCHMENT, amount: "", sol: "" };
+    }
+  }
+
+  // Breaks `text` into lines no wider than `width` (by character, for signatures).
+  function wrapChars(ctx, text, width) {
+    const lines = [];
+    let line = "";
+    for (const ch of text) {
+      if (ctx.measureText(line + ch).width > width && line) {
+        lines.push(line);
+        line = "";
+      }
+      line += ch;
+    }
+    if (line) lines.push(line);
+    return lines;
+  }
+
+  /**
+   * Draws `receipt` onto `canvas` (resized to W×H). `owl` is an optional loaded image.
+   */
+  function drawReceiptCard(canvas, receipt, owl) {
+    canvas.width = W;
+    canvas.height = H;
+    const ctx = canvas.getContext("2d");
+    const d = receipt.decoded;
+
+    const bg = ctx.createLinearGradient(0, 0, W, H);
+    bg.addColorStop(0, "#140e05");
+    bg.addColorStop(1, "#050403");
+    ctx.fillStyle = bg;
+    ctx.fillRect(0, 0, W, H);
+
+    const glow = ctx.createRadialGradient(W - 250, H / 2, 20, W - 250, H / 2, 320);
+    glow.addColorStop(0, "rgba(218,165,32,0.28)");
+    glow.addColorStop(1, "rgba(218,165,32,0)");
+    ctx.fillStyle = glow;
+    ctx.fillRect(0, 0, W, H);
+
+    if (owl) {
+      const size = 360;
+      const scale = Math.min(size / owl.width, size / owl.height);
+      const w = owl.width * scale;
+      const h = owl.height * scale;
+      ctx.save();
+      ctx.globalAlpha = 0.9;
+      ctx.drawImage(owl, W - 250 - w / 2, H / 2 - h / 2, w, h);
+      ctx.restore();
+    }
+
+    drawFrame(ctx);
+
+    const left = 80;
+    const textWidth = W - 500 - left;
+    const head = headline(d);
+
+    ctx.fillStyle = GOLD;
+    ctx.font = "bold 22px Georgia, serif";
+    ctx.fillText("THE LIBRARY OF WAN SHI TONG · RECEIPT", left, 96);
+
+    ctx.fillStyle = head.color;
+    ctx.font = "bold 64px Georgia, serif";
+    ctx.fillText(head.title, left, 180);
+
+    ctx.fillStyle = PARCHMENT;
+    let y = 180;
+    if (head.amount) {
+      ctx.font = "bold 42px Georgia, serif";
+      y += 64;
+      ctx.fillText(head.amount, left, y, textWidth);
+    }
+    if (head.sol) {
+      ctx.font = "30px Georgia, serif";
+      y += 46;
+      ctx.fillText(head.sol, left, y, textWidth);
+    }
+
+    ctx.font = "24px Georgia, serif";
+    ctx.fillStyle = "rgba(232,213,183,0.8)";
+    const when = d && d.blockTime ? new Date(d.blockTime).toLocaleString() : "Time unknown";
+    const fee = d && isFinite(d.fee) ? " · fee " + fmt(d.fee, 6) + " SOL" : "";
+    y += 52;
+    ctx.fillText(when + fee, left, y, textWidth);
+
+    if (receipt.note) {
+      ctx.font = "italic 24px Georgia, serif";
+      y += 40;
+      ctx.fillText("“" + receipt.note + "”", left, y, textWidth);
+    }
+
+    ctx.font = "18px " + MONO;
+    ctx.fillStyle = "rgba(232,213,183,0.6)";
+    const sigLines = wrapChars(ctx, receipt.sig, textWidth);
+    sigLines.forEach((line, i) => ctx.fillText(line, left, H - 80 - (sigLines.length - 1 - i) * 24));
+
+    ctx.font = "bold 20px Georgia, serif";
+    ctx.fillStyle = GOLD;
+    ctx.textAlign = "center";
+    ctx.fillText("KNOWLEDGE IS PAID FOR", W - 250, H - 70);
+    ctx.textAlign = "start";
+  }
+
+  async function downloadReceiptCard(receipt) {
+    const canvas = document.createElement("canvas");
+    drawReceiptCard(canvas, receipt, await loadOwl());
+    const blob = await new Promise((resolve) => canvas.toBlob(resolve, "image/png"));
+    if (!blob) throw new Error("Could not create the image.");
+    window.WstDownload.downloadBlob(blob, "WanShiTong-Receipt-" + receipt.sig.slice(0, 8) + ".png");
+  }
+
+  window.WstReceiptCard = { drawReceiptCard, downloadReceiptCard, W, H };
+})();
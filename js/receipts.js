@@ -0,0 +1,437 @@
+/* Receipt Vault data: decoded Solana transactions (no external dependencies)
+ * - Solana JSON-RPC getTransaction through a configurable endpoint
+ *   (localStorage "wst_solana_rpc"; a local validator or mock RPC works the same way)
+ * - Decodes time, status, fee, and the signer's token and SOL deltas into a buy/sell
+ * - Receipts carry a note and tags, kept in IndexedDB (database "wst_vault") with no cap;
+ *   the old localStorage "wst_receipts" list is moved over on first load and stays the
+ *   fallback where IndexedDB is unavailable
+ * - JSON and CSV export/import; imports merge into the vault by signature
+ * - Running cost basis (average cost, in SOL) and realized/unrealized P&L
+ *
+ * Exposes window.WstReceipts = { DEFAULT_RPC, rpcEndpoint, setRpcEndpoint, createRpc,
+ *   decodeTransaction, fetchReceipt, isLikelySig, load, put, remove, clear, merge,
+ *   exportJson, exportCsv, parseImport, summarize }. Without a window (node, for
+ *   test/receipts.test.js) the same object is set on globalThis instead.
+ */
+(function (root) {
+  "use strict";
+
+  const STORAGE_KEY = "wst_receipts";
+  const RPC_KEY = "wst_solana_rpc";
+  const DEFAULT_RPC = "https://api.mainnet-beta.solana.com";
+  const WSOL_MINT = "So11111111111111111111111111111111111111112";
+  const LAMPORTS_PER_SOL = 1e9;
+  const DB_NAME = "wst_vault";
+  const STORE = "receipts";
+  const SIDES = ["buy", "sell", "transfer-in", "transfer-out", "other"];
+  const STATUSES = ["success", "failed"];
+
+  function rpcEndpoint() {
+    try { return localStorage.getItem(RPC_KEY) || DEFAULT_RPC; } catch (_) { return DEFAULT_RPC; }
+  }
+
+  function setRpcEndpoint(url) {
+    const value = String(url || "").trim();
+    try {
+      if (!value || value === DEFAULT_RPC) localStorage.removeItem(RPC_KEY);
+      else localStorage.setItem(RPC_KEY, value);
+    } catch (_) {}
+    return rpcEndpoint();
+  }
+
+  function createRpc(opts = {}) {
+    const endpoint = opts.endpoint || rpcEndpoint();
+    const fetchImpl = opts.fetch || ((url, init) => fetch(url, init));
+    let nextId = 1;
+
+    async function call(method, params) {
+      const r = await fetchImpl(endpoint, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ jsonrpc: "2.0", id: nextId++, method, params })
+      });
+      if (!r.ok) throw new Error("RPC HTTP " + r.status);
+      const data = await r.json();
+      if (data.error) throw new Error("RPC: " + (data.error.message || data.error.code));
+      return data.result;
+    }
+
+    return {
+      endpoint,
+      call,
+      getTransaction(signature) {
+        return call("getTransaction", [
+          signature,
+          { encoding: "jsonParsed", commitment: "confirmed", maxSupportedTransactionVersion: 0 }
+        ]);
+      }
+    };
+  }
+
+  function isLikelySig(s) {
+    // Solana signatures are base58-ish and usually 80-90 chars.
+    return /^[1-9A-HJ-NP-Za-km-z]{70,120}$/.test(String(s || ""));
+  }
+
+  function keyOf(k) {
+    return typeof k === "string" ? k : k && k.pubkey;
+  }
+
+  // Sum of the owner's ui amounts for `mint` across a pre/post token balance list.
+  function ownerBalance(list, owner, mint) {
+    return (list || []).reduce((sum, b) => {
+      if (b.mint !== mint || b.owner !== owner) return sum;
+      const ui = b.uiTokenAmount || {};
+      const amount = ui.uiAmountString !== undefined ? Number(ui.uiAmountString) : Number(ui.uiAmount);
+      return sum + (isFinite(amount) ? amount : 0);
+    }, 0);
+  }
+
+  /**
+   * Reduces a getTransaction result to what a receipt shows, from the point of
+   * view of the fee payer. `solDelta` is what the trade moved (fee excluded,
+   * wrapped SOL included); negative means SOL left the wallet.
+   */
+  function decodeTransaction(tx, mint) {
+    if (!tx) return null;
+    const meta = tx.meta || {};
+    const keys = (tx.transaction && tx.transaction.message && tx.transaction.message.accountKeys) || [];
+    const owner = keyOf(keys[0]) || "";
+    const fee = (meta.fee || 0) / LAMPORTS_PER_SOL;
+
+    const lamports = ((meta.postBalances || [])[0] - (meta.preBalances || [])[0]) / LAMPORTS_PER_SOL;
+    const wsol = ownerBalance(meta.postTokenBalances, owner, WSOL_MINT) - ownerBalance(meta.preTokenBalances, owner, WSOL_MINT);
+    const solDelta = (isFinite(lamports) ? lamports : 0) + fee + wsol;
+    const tokenDelta = ownerBalance(meta.postTokenBalances, owner, mint) - ownerBalance(meta.preTokenBalances, owner, mint);
+
+    let side = "other";
+    const moved = Math.abs(solDelta) > 1e-9;
+    if (tokenDelta > 0) side = moved && solDelta < 0 ? "buy" : "transfer-in";
+    else if (tokenDelta < 0) side = moved && solDelta > 0 ? "sell" : "transfer-out";
+
+    return {
+      slot: tx.slot,
+      blockTime: tx.blockTime ? tx.blockTime * 1000 : null,
+      status: meta.err ? "failed" : "success",
+      err: meta.err ? JSON.stringify(meta.err) : null,
+      owner,
+      fee,
+      tokenDelta,
+      solDelta,
+      side
+    };
+  }
+
+  // Fetches and decodes one signature. Resolves to null when the RPC does not know it (yet).
+  async function fetchReceipt(signature, { mint, rpc } = {}) {
+    const client = rpc || createRpc();
+    const tx = await client.getTransaction(signature);
+    return decodeTransaction(tx, mint);
+  }
+
+  function num(v) {
+    const n = v === null || v === "" ? NaN : Number(v);
+    return isFinite(n) ? n : NaN;
+  }
+
+  // Imported decodes can hold anything, so only the fields decodeTransaction writes are
+  // kept, each checked. An unknown status drops the decode and the receipt is fetched again.
+  function normalizeDecoded(d) {
+    if (!d || typeof d !== "object" || !STATUSES.includes(d.status)) return null;
+    const blockTime = num(d.blockTime);
+    return {
+      slot: num(d.slot),
+      blockTime: blockTime > 0 ? blockTime : null,
+      status: d.status,
+      err: d.err ? String(d.err).slice(0, 500) : null,
+      owner: typeof d.owner === "string" ? d.owner.slice(0, 64) : "",
+      fee: num(d.fee),
+      tokenDelta: num(d.tokenDelta),
+      solDelta: num(d.solDelta),
+      side: SIDES.includes(d.side) ? d.side : "other"
+    };
+  }
+
+  function normalizeReceipt(r) {
+    if (typeof r === "string") r = { sig: r };
+    if (!r || !isLikelySig(r.sig)) return null;
+    return {
+      sig: r.sig,
+      addedAt: Number(r.addedAt) || Date.now(),
+      note: String(r.note || "").slice(0, 280),
+      tags: (Array.isArray(r.tags) ? r.tags : [])
+        .map((t) => String(t).trim().toLowerCase().slice(0, 24))
+        .filter(Boolean)
+        .slice(0, 8),
+      decoded: normalizeDecoded(r.decoded),
+      error: r.error ? String(r.error).slice(0, 200) : null
+    };
+  }
+
+  // Newest first, the order the vault lists them in.
+  function byAdded(a, b) {
+    return b.addedAt - a.addedAt;
+  }
+
+  function readLegacy() {
+    try {
+      const arr = JSON.parse(localStorage.getItem(STORAGE_KEY) || "[]");
+      return (Array.isArray(arr) ? arr : []).map(normalizeReceipt).filter(Boolean);
+    } catch (_) {
+      return [];
+    }
+  }
+
+  function writeLegacy(list) {
+    try { localStorage.setItem(STORAGE_KEY, JSON.stringify(list)); } catch (_) {}
+  }
+
+  function reqDone(req) {
+    return new Promise((resolve, reject) => {
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+  }
+
+  let dbPromise = null;
+
+  // Opens the vault, moving any localStorage receipts into it the first time.
+  // Resolves to null when IndexedDB cannot be used; callers then use localStorage.
+  function openDb() {
+    if (dbPromise) return dbPromise;
+    dbPromise = new Promise((resolve) => {
+      if (typeof indexedDB === "undefined") return resolve(null);
+      let req;
+      try { req = indexedDB.open(DB_NAME, 1); } catch (_) { return resolve(null); }
+      req.onupgradeneeded = () => {
+        const store = req.result.createObjectStore(STORE, { keyPath: "sig" });
+        const legacy = readLegacy();
+        // Keep the old order: the legacy list was newest first.
+        legacy.forEach((r, i) => store.put({ ...r, addedAt: r.addedAt - i }));
+      };
+      req.onsuccess = () => {
+        try { localStorage.removeItem(STORAGE_KEY); } catch (_) {}
+        resolve(req.result);
+      };
+      req.onerror = () => resolve(null);
+      req.onblocked = () => resolve(null);
+    });
+    return dbPromise;
+  }
+
+  async function load() {
+    const db = await openDb();
+    if (!db) return readLegacy().sort(byAdded);
+    const all = await reqDone(db.transaction(STORE).objectStore(STORE).getAll());
+    return all.map(normalizeReceipt).filter(Boolean).sort(byAdded);
+  }
+
+  async function put(receipt) {
+    const r = normalizeReceipt(receipt);
+    if (!r) return null;
+    const db = await openDb();
+    if (db) {
+      await reqDone(db.transaction(STORE, "readwrite").objectStore(STORE).put(r));
+    } else {
+      writeLegacy(readLegacy().filter((x) => x.sig !== r.sig).concat(r).sort(byAdded));
+    }
+    return r;
+  }
+
+  async function remove(sig) {
+    const db = await openDb();
+    if (db) await reqDone(db.transaction(STORE, "readwrite").objectStore(STORE).delete(sig));
+    else writeLegacy(readLegacy().filter((x) => x.sig !== sig));
+  }
+
+  async function clear() {
+    const db = await openDb();
+    if (db) await reqDone(db.transaction(STORE, "readwrite").objectStore(STORE).clear());
+    else writeLegacy([]);
+  }
+
+  /**
+   * Merges imported receipts into the vault, one per signature. A receipt that is
+   * already there keeps its note unless it has none, gains any new tags, and takes
+   * the imported decode only if it lacks one. Returns { added, updated, skipped }.
+   */
+  async function merge(incoming) {
+    const existing = new Map((await load()).map((r) => [r.sig, r]));
+    const counts = { added: 0, updated: 0, skipped: 0 };
+    for (const raw of incoming) {
+      const r = normalizeReceipt(raw);
+      if (!r) { counts.skipped++; continue; }
+      const cur = existing.get(r.sig);
+      if (!cur) {
+        existing.set(r.sig, await put(r));
+        counts.added++;
+        continue;
+      }
+      const next = {
+        ...cur,
+        note: cur.note || r.note,
+        tags: Array.from(new Set(cur.tags.concat(r.tags))),
+        decoded: cur.decoded || r.decoded,
+        error: cur.decoded ? cur.error : (r.decoded ? null : cur.error)
+      };
+      if (JSON.stringify(next) === JSON.stringify(cur)) { counts.skipped++; continue; }
+      existing.set(r.sig, await put(next));
+      counts.updated++;
+    }
+    return counts;
+  }
+
+  function exportJson(list) {
+    return JSON.stringify({ version: 1, receipts: list.map(({ error, ...r }) => r) }, null, 2);
+  }
+
+  const CSV_COLUMNS = ["signature", "added_at", "block_time", "status", "side", "token_delta", "sol_delta", "fee_sol", "note", "tags"];
+
+  function csvCell(v) {
+    const s = v === undefined || v === null || (typeof v === "number" && !isFinite(v)) ? "" : String(v);
+    return /[",\n\r]/.test(s) ? '"' + s.replace(/"/g, '""') + '"' : s;
+  }
+
+  function exportCsv(list) {
+    const iso = (t) => (t ? new Date(t).toISOString() : "");
+    const lines = [CSV_COLUMNS.join(",")];
+    list.forEach((r) => {
+      const d = r.decoded || {};
+      lines.push([
+        r.sig, iso(r.addedAt), iso(d.blockTime), d.status, d.side,
+        d.tokenDelta, d.solDelta, d.fee, r.note, r.tags.join(" ")
+      ].map(csvCell).join(","));
+    });
+    return lines.join("\n") + "\n";
+  }
+
+  // Minimal RFC 4180 reader: quoted fields, doubled quotes, CRLF or LF.
+  function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let cell = "";
+    let quoted = false;
+    for (let i = 0; i < text.length; i++) {
+      const c = text[i];
+      if (quoted) {
+        if (c === '"' && text[i + 1] === '"') { cell += '"'; i++; }
+        else if (c === '"') quoted = false;
+        else cell += c;
+      } else if (c === '"') quoted = true;
+      else if (c === ",") { row.push(cell); cell = ""; }
+      else if (c === "\n" || c === "\r") {
+        if (c === "\r" && text[i + 1] === "\n") i++;
+        row.push(cell); rows.push(row); row = []; cell = "";
+      } else cell += c;
+    }
+    if (cell || row.length) { row.push(cell); rows.push(row); }
+    return rows.filter((r) => r.some((c) => c.trim()));
+  }
+
+  function fromCsv(text) {
+    const [head, ...rows] = parseCsv(text);
+    const col = (name) => (head || []).indexOf(name);
+    if (col("signature") < 0) throw new Error("The CSV has no signature column.");
+    const num = (v) => (v === "" || v === undefined ? NaN : Number(v));
+    const time = (v) => (v ? Date.parse(v) || null : null);
+    return rows.map((cells) => {
+      const at = (name) => (col(name) < 0 ? "" : cells[col(name)] || "");
+      const status = at("status");
+      return {
+        sig: at("signature").trim(),
+        addedAt: time(at("added_at")) || undefined,
+        note: at("note"),
+        tags: at("tags").split(/\s+/),
+        decoded: status ? {
+          blockTime: time(at("block_time")),
+          status,
+          side: at("side") || "other",
+          tokenDelta: num(at("token_delta")),
+          solDelta: num(at("sol_delta")),
+          fee: num(at("fee_sol"))
+        } : null
+      };
+    });
+  }
+
+  /**
+   * Reads an export back into receipt drafts for merge(). JSON may be an export,
+   * a bare array of receipts, or a bare array of signatures; anything else is
+   * read as CSV.
+   */
+  function parseImport(text, filename) {
+    const trimmed = String(text || "").trim();
+    const looksJson = /\.json$/i.test(filename || "") || trimmed.startsWith("{") || trimmed.startsWith("[");
+    if (!looksJson) return fromCsv(trimmed);
+    let data;
+    try { data = JSON.parse(trimmed); } catch (_) { throw new Error("That file is not valid JSON."); }
+    const list = Array.isArray(data) ? data : data && data.receipts;
+    if (!Array.isArray(list)) throw new Error("No receipts found in that file.");
+    return list;
+  }
+
+  /**
+   * Average-cost position over successful buys and sells, oldest first.
+   * Prices are optional; with `priceNative` (SOL per token) the summary adds
+   * value and unrealized P&L, and with `priceUsd` too it adds USD figures.
+   */
+  function summarize(receipts, { priceUsd, priceNative } = {}) {
+    const trades = receipts
+      .map((r) => r.decoded)
+      .filter((d) => d && d.status === "success" && (d.side === "buy" || d.side === "sell"))
+      .filter((d) => isFinite(d.tokenDelta) && isFinite(d.solDelta))
+      .sort((a, b) => (a.blockTime || 0) - (b.blockTime || 0));
+
+    let tokens = 0;
+    let cost = 0;
+    let realized = 0;
+    let fees = 0;
+    trades.forEach((d) => {
+      fees += d.fee || 0;
+      if (d.side === "buy") {
+        tokens += d.tokenDelta;
+        cost += -d.solDelta;
+      } else {
+        const sold = Math.min(-d.tokenDelta, tokens);
+        const basis = tokens > 0 ? (cost / tokens) * sold : 0;
+        realized += d.solDelta - basis;
+        cost -= basis;
+        tokens -= sold;
+      }
+    });
+
+    const native = Number(priceNative);
+    const solUsd = native > 0 && Number(priceUsd) > 0 ? Number(priceUsd) / native : NaN;
+    const value = native > 0 ? tokens * native : NaN;
+    return {
+      trades: trades.length,
+      tokens,
+      costSol: cost,
+      avgCostSol: tokens > 0 ? cost / tokens : NaN,
+      realizedSol: realized,
+      feesSol: fees,
+      valueSol: value,
+      unrealizedSol: value - cost,
+      solUsd
+    };
+  }
+
+  root.WstReceipts = {
+    DEFAULT_RPC,
+    rpcEndpoint,
+    setRpcEndpoint,
+    createRpc,
+    decodeTransaction,
+    fetchReceipt,
+    isLikelySig,
+    load,
+    put,
+    remove,
+    clear,
+    merge,
+    exportJson,
+    exportCsv,
+    parseImport,
+    summarize
+  };
+})(typeof window !== "undefined" ? window : globalThis);
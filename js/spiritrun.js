@@ -0,0 +1,383 @@
+// Spirit Run game logic, kept apart from the canvas drawing in index.html so it can
+// run (and be tested) without a page.
+//
+// World units are CSS pixels and seconds. x runs along the track: the owl is always at
+// x = run.state.distance, and obstacles and pickups sit at fixed track positions ahead of
+// it. y is height above the ground. Nothing here touches the DOM.
+//
+// A run is deterministic: it advances in fixed ticks of TICK seconds and every random
+// choice comes from a PRNG seeded with the run's seed, so the same seed and the same inputs
+// at the same ticks always play out the same way. Inputs are recorded as they happen;
+// run.record() is a replay that replayRun() (or the leaderboard function in
+// netlify/functions/spiritrun.js) can play back to check the score.
+//
+//   const run = createRun({ seed: dailySeed() });
+//   run.press();             // jump (again in the air with double jump); hold to glide
+//   run.release();
+//   run.duck(true);          // duck under fox spirits; in the air, drop faster
+//   const events = run.advance(elapsedSeconds);
+//
+// advance() runs as many whole ticks as fit (carrying the remainder to the next call) and
+// returns what happened as events, oldest first:
+//   { type: "jump", double }          { type: "pass", kind }
+//   { type: "scroll", points }        { type: "powerup", kind }
+//   { type: "level", level, name }    { type: "over", cause, reason }
+
+export const TICK = 1 / 120;
+export const REPLAY_VERSION = 1;
+// Inputs as recorded: [tick, code], applied before that tick is simulated.
+export const INPUTS = Object.freeze({ press: "j", release: "r", duck: "d", stand: "u" });
+
+export const TUNING = Object.freeze({
+  speedStart: 130, // track units per second
+  speedMax: 270,
+  rampDistance: 12000, // distance over which the speed reaches speedMax
+  gravity: 1730,
+  jump: 636, // take-off speed
+  doubleJump: 540,
+  glideFall: 85, // fastest fall while gliding with the jump held
+  dropGravity: 2.2, // gravity multiplier when ducking in the air
+  gapStart: [1.7, 2.5], // seconds between obstacles at the start…
+  gapEnd: [0.95, 1.45], // …and at full speed
+  minGap: 190,
+  spawnAhead: 1400, // how far ahead of the owl things are placed
+  firstObstacle: 700,
+  scrollChance: 0.45, // chance of a scroll in the gap after an obstacle
+  powerupChance: 0.08, // chance of a power-up there instead
+  powerupSeconds: 8,
+  scrollPoints: 5,
+  passPoints: 1
+});
+
+// The owl's hitbox, centred on its track position.
+export const PLAYER = Object.freeze({ w: 30, h: 32, duckH: 16 });
+
+// Obstacles: flames stand on the ground, fox spirits fly at head height (duck, or jump
+// clear over them), pits are gaps in the ground to jump.
+export const OBSTACLES = Object.freeze({
+  flame: Object.freeze({ reason: "The fire consumes the knowledge." }),
+  fox: Object.freeze({ reason: "A fox spirit snatches your knowledge.", y: 20, h: 22, w: 34 }),
+  pit: Object.freeze({ reason: "The desert swallows you whole.", edge: 6 })
+});
+
+export const POWERUPS = Object.freeze(["glide", "double"]);
+
+// A level starts at `from` (track distance) and sets how often each obstacle appears.
+export const LEVELS = Object.freeze([
+  Object.freeze({ name: "The Open Desert", from: 0, weights: Object.freeze({ flame: 1 }) }),
+  Object.freeze({ name: "Fox Dunes", from: 1500, weights: Object.freeze({ flame: 3, fox: 2 }) }),
+  Object.freeze({ name: "Sinking Sands", from: 4000, weights: Object.freeze({ flame: 3, fox: 2, pit: 2 }) }),
+  Object.freeze({ name: "The Library Gates", from: 7500, weights: Object.freeze({ flame: 2, fox: 3, pit: 3 }) })
+]);
+
+// FNV-1a: a 32-bit seed from any string.
+export function hashSeed(text) {
+  let h = 0x811c9dc5;
+  for (const ch of String(text)) {
+    h ^= ch.codePointAt(0);
+    h = Math.imul(h, 0x01000193) >>> 0;
+  }
+  return h;
+}
+
+// mulberry32: small, fast and the same in every engine (integer maths only).
+export function createRng(seed) {
+  let a = hashSeed(seed);
+  return function random() {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// The daily challenge: everyone gets the same run on the same UTC day.
+export function dailySeed(date = new Date()) {
+  return "daily-" + date.toISOString().slice(0, 10);
+}
+
+export function randomSeed() {
+  return "run-" + Math.floor(Math.random() * 2 ** 32).toString(36);
+}
+
+function lerp(a, b, t) {
+  return a + (b - a) * t;
+}
+
+function overlaps(a, b) {
+  return a.x < b.x + b.w && a.x + a.w > b.x && a.y < b.y + b.h && a.y + a.h > b.y;
+}
+
+// 1-based level for a track distance.
+export function levelAt(distance) {
+  let level = 1;
+  LEVELS.forEach((l, i) => { if (distance >= l.from) level = i + 1; });
+  return level;
+}
+
+// 0 at the start, 1 once the run is at full speed.
+export function rampAt(distance) {
+  return Math.min(1, Math.max(0, distance / TUNING.rampDistance));
+}
+
+export function speedAt(distance) {
+  return lerp(TUNING.speedStart, TUNING.speedMax, rampAt(distance));
+}
+
+/**
+ * A new run from `seed` (a string; random when omitted). With `replay` (a list of recorded
+ * [tick, code] inputs) the run plays those inputs back by itself.
+ */
+export function createRun({ seed = randomSeed(), replay = null } = {}) {
+  const random = createRng(seed);
+  const between = (a, b) => a + random() * (b - a);
+
+  const state = {
+    seed: String(seed),
+    tick: 0,
+    distance: 0,
+    speed: TUNING.speedStart,
+    level: 1,
+    score: 0,
+    scrolls: 0,
+    time: 0,
+    over: null, // { cause, reason } once the run has ended
+    player: { y: 0, vy: 0, onGround: true, ducking: false, holding: false, airJumps: 0 },
+    effects: { glide: 0, double: 0 }, // seconds left on each power-up
+    obstacles: [], // { kind, x, w, h, y, passed }
+    pickups: [] // { kind: "scroll" | "glide" | "double", x, y, w, h }
+  };
+  let nextSpawn = TUNING.firstObstacle;
+  let pending = [];
+  let carry = 0; // seconds not yet simulated
+  const inputs = [];
+  const scripted = replay ? replay.slice() : null;
+  let cursor = 0;
+
+  function playerBox() {
+    const p = state.player;
+    return {
+      x: state.distance - PLAYER.w / 2,
+      y: p.y,
+      w: PLAYER.w,
+      h: p.ducking && p.onGround ? PLAYER.duckH : PLAYER.h
+    };
+  }
+
+  function pickKind() {
+    const weights = LEVELS[state.level - 1].weights;
+    const kinds = Object.keys(weights);
+    let r = random() * kinds.reduce((sum, k) => sum + weights[k], 0);
+    for (const kind of kinds) {
+      r -= weights[kind];
+      if (r < 0) return kind;
+    }
+    return kinds[kinds.length - 1];
+  }
+
+  function makeObstacle(kind, x) {
+    if (kind === "fox") {
+      const f = OBSTACLES.fox;
+      // Foxes fly at a fixed height: the simulation never moves `y`. `phase` is only the
+      // offset of the bob the page draws around it (from the seeded RNG, so replays match).
+      return { kind, x, w: f.w, h: f.h, y: f.y, phase: random() * Math.PI * 2, passed: false };
+    }
+    if (kind === "pit") return { kind, x, w: Math.round(between(56, 84)), h: 0, y: 0, passed: false };
+    return { kind, x, w: 30, h: Math.round(between(34, 52)), y: 0, passed: false };
+  }
+
+  function spawn() {
+    const kind = pickKind();
+    const o = makeObstacle(kind, nextSpawn);
+    state.obstacles.push(o);
+
+    const t = rampAt(nextSpawn);
+    const seconds = between(lerp(TUNING.gapStart[0], TUNING.gapEnd[0], t), lerp(TUNING.gapStart[1], TUNING.gapEnd[1], t));
+    const gap = Math.max(TUNING.minGap, seconds * speedAt(nextSpawn));
+
+    // Something to collect halfway through the gap, on the ground or up where a jump reaches.
+    const r = random();
+    const at = o.x + o.w + gap / 2;
+    if (r < TUNING.powerupChance) {
+      const kind = POWERUPS[Math.floor(random() * POWERUPS.length)];
+      state.pickups.push({ kind, x: at - 12, y: Math.round(between(40, 90)), w: 24, h: 24 });
+    } else if (r < TUNING.powerupChance + TUNING.scrollChance) {
+      const y = [4, 4, 55, 100][Math.floor(random() * 4)];
+      state.pickups.push({ kind: "scroll", x: at - 11, y, w: 22, h: 22 });
+    }
+
+    nextSpawn = o.x + o.w + gap;
+  }
+
+  function input(code) {
+    if (!state.over) inputs.push([state.tick, code]);
+  }
+
+  function press() {
+    const p = state.player;
+    if (state.over) return;
+    input(INPUTS.press);
+    p.holding = true;
+    if (p.onGround) {
+      p.vy = TUNING.jump;
+      p.onGround = false;
+      p.airJumps = state.effects.double > 0 ? 1 : 0;
+      pending.push({ type: "jump", double: false });
+    } else if (p.airJumps > 0) {
+      p.airJumps -= 1;
+      p.vy = TUNING.doubleJump;
+      pending.push({ type: "jump", double: true });
+    }
+  }
+
+  function release() {
+    if (!state.player.holding) return;
+    input(INPUTS.release);
+    state.player.holding = false;
+  }
+
+  function duck(on) {
+    if (state.player.ducking === !!on) return;
+    input(on ? INPUTS.duck : INPUTS.stand);
+    state.player.ducking = !!on;
+  }
+
+  function playScripted() {
+    while (cursor < scripted.length && scripted[cursor][0] <= state.tick) {
+      const code = scripted[cursor++][1];
+      if (code === INPUTS.press) press();
+      else if (code === INPUTS.release) release();
+      else if (code === INPUTS.duck) duck(true);
+      else if (code === INPUTS.stand) duck(false);
+    }
+  }
+
+  function end(cause, events) {
+    state.over = { cause, reason: OBSTACLES[cause].reason };
+    events.push({ type: "over", cause, reason: state.over.reason });
+  }
+
+  function stepPlayer(dt) {
+    const p = state.player;
+    if (p.onGround) return;
+    const drop = p.ducking ? TUNING.dropGravity : 1;
+    p.vy -= TUNING.gravity * drop * dt;
+    if (state.effects.glide > 0 && p.holding && !p.ducking && p.vy < -TUNING.glideFall) p.vy = -TUNING.glideFall;
+    p.y += p.vy * dt;
+    if (p.y <= 0) {
+      p.y = 0;
+      p.vy = 0;
+      p.onGround = true;
+      p.airJumps = 0;
+    }
+  }
+
+  function overPit() {
+    const p = state.player;
+    if (!p.onGround) return false;
+    const edge = OBSTACLES.pit.edge;
+    return state.obstacles.some((o) => o.kind === "pit" && state.distance > o.x + edge && state.distance < o.x + o.w - edge);
+  }
+
+  // One fixed step of TICK seconds; returns the events it produced.
+  function tick() {
+    if (scripted) playScripted();
+    const events = pending;
+    pending = [];
+    if (state.over) return events;
+
+    const dt = TICK;
+    state.tick += 1;
+    state.time = state.tick * TICK;
+    state.speed = speedAt(state.distance);
+    state.distance += state.speed * dt;
+    for (const key of Object.keys(state.effects)) state.effects[key] = Math.max(0, state.effects[key] - dt);
+
+    const level = levelAt(state.distance);
+    if (level !== state.level) {
+      state.level = level;
+      events.push({ type: "level", level, name: LEVELS[level - 1].name });
+    }
+
+    while (nextSpawn < state.distance + TUNING.spawnAhead) spawn();
+
+    stepPlayer(dt);
+
+    if (overPit()) {
+      end("pit", events);
+      return events;
+    }
+    const box = playerBox();
+    const hit = state.obstacles.find((o) => o.kind !== "pit" && overlaps(box, o));
+    if (hit) {
+      end(hit.kind, events);
+      return events;
+    }
+
+    for (const o of state.obstacles) {
+      if (!o.passed && o.x + o.w < box.x) {
+        o.passed = true;
+        state.score += TUNING.passPoints;
+        events.push({ type: "pass", kind: o.kind });
+      }
+    }
+
+    state.pickups = state.pickups.filter((item) => {
+      if (!overlaps(box, item)) return true;
+      if (item.kind === "scroll") {
+        state.scrolls += 1;
+        state.score += TUNING.scrollPoints;
+        events.push({ type: "scroll", points: TUNING.scrollPoints });
+      } else {
+        state.effects[item.kind] = TUNING.powerupSeconds;
+        if (item.kind === "double" && !state.player.onGround) state.player.airJumps = 1;
+        events.push({ type: "powerup", kind: item.kind });
+      }
+      return false;
+    });
+
+    // Forget what is well behind the owl.
+    const behind = state.distance - 400;
+    state.obstacles = state.obstacles.filter((o) => o.x + o.w > behind);
+    state.pickups = state.pickups.filter((item) => item.x + item.w > behind);
+
+    return events;
+  }
+
+  // Runs every whole tick in `seconds` (plus what was left over last time).
+  function advance(seconds) {
+    carry += Math.max(0, seconds || 0);
+    const events = [];
+    while (carry >= TICK && !state.over) {
+      carry -= TICK;
+      events.push(...tick());
+    }
+    if (state.over) carry = 0;
+    return events;
+  }
+
+  // The replay of this run so far: enough to play it again exactly.
+  function record() {
+    return {
+      v: REPLAY_VERSION,
+      seed: state.seed,
+      ticks: state.tick,
+      score: state.score,
+      inputs: inputs.map((i) => i.slice())
+    };
+  }
+
+  return { state, press, release, duck, tick, advance, record };
+}
+
+/**
+ * Plays `replay` (from run.record()) from the start until the run ends or `maxTicks`
+ * pass, and returns the final state.
+ */
+export function replayRun(replay, { maxTicks = Infinity } = {}) {
+  const run = createRun({ seed: replay.seed, replay: replay.inputs });
+  const limit = Math.min(maxTicks, Number(replay.ticks) || 0);
+  while (!run.state.over && run.state.tick < limit) run.tick();
+  return run.state;
+}
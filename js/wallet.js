@@ -0,0 +1,223 @@
+/* Optional Solana wallet connection (no external dependencies)
+ * - Finds injected providers that follow the wallet adapter interface
+ *   (connect / disconnect / publicKey / on): Phantom, Backpack, or a generic window.solana
+ * - A mock provider for tests and offline work: set localStorage "wst_wallet_mock" to
+ *   '{"publicKey":"…","balance":123}' (or just "1"), or open the page with ?mockWallet
+ * - Reads the connected wallet's SPL token balance over the vault's RPC endpoint
+ *   (js/receipts.js), or from the provider itself when it can answer directly (the mock can)
+ * - Holder tiers by share of a 1B supply
+ * - Remembers the last wallet and reconnects silently (onlyIfTrusted) next visit
+ *
+ * Exposes window.WstWallet = { providers, connect, disconnect, current, reconnect,
+ *   tokenBalance, tierFor, TIERS, createMockProvider, onChange }. Without a window (node, for
+ *   test/wallet.test.js) the same object is set on globalThis, and providers are looked up there.
+ */
+(function (root) {
+  "use strict";
+
+  const LAST_KEY = "wst_wallet_last";
+  const MOCK_KEY = "wst_wallet_mock";
+  const SUPPLY = 1e9;
+
+  // Ordered from the top. `min` is a token balance.
+  const TIERS = Object.freeze([
+    { name: "Keeper of Ten Thousand Things", min: SUPPLY * 0.01 },
+    { name: "Archivist", min: SUPPLY * 0.001 },
+    { name: "Scholar", min: SUPPLY * 0.0001 },
+    { name: "Reader", min: SUPPLY * 0.00001 },
+    { name: "Visitor", min: 0 }
+  ]);
+
+  const listeners = new Set();
+  const wired = new WeakSet(); // providers whose events we already listen to
+  let active = null; // { id, label, provider, publicKey }
+
+  function emit() {
+    listeners.forEach((fn) => {
+      try { fn(current()); } catch (e) { console.error(e); }
+    });
+  }
+
+  function keyString(pk) {
+    return pk ? (typeof pk === "string" ? pk : pk.toBase58 ? pk.toBase58() : pk.toString()) : "";
+  }
+
+  /**
+   * A provider with the same surface as the injected ones. `balance` is the
+   * token balance it reports for any mint; `publicKey` defaults to a fixed address.
+   * Like a real wallet, connect({ onlyIfTrusted: true }) fails until the site is
+   * trusted, which a normal connect() grants; `trusted` sets where it starts.
+   * emit(event, ...args) fires a wallet event, e.g. emit("accountChanged", null).
+   */
+  function createMockProvider({ publicKey = "MockWa11et1111111111111111111111111111111111", balance = 0, trusted = true } = {}) {
+    const handlers = {};
+    const provider = {
+      isMock: true,
+      publicKey: null,
+      isConnected: false,
+      async connect({ onlyIfTrusted = false } = {}) {
+        if (onlyIfTrusted && !trusted) throw new Error("User rejected the request.");
+        trusted = true;
+        provider.publicKey = { toBase58: () => publicKey, toString: () => publicKey };
+        provider.isConnected = true;
+        (handlers.connect || []).forEach((fn) => fn(provider.publicKey));
+        return { publicKey: provider.publicKey };
+      },
+      async disconnect() {
+        provider.publicKey = null;
+        provider.isConnected = false;
+        (handlers.disconnect || []).forEach((fn) => fn());
+      },
+      on(event, fn) {
+        (handlers[event] = handlers[event] || []).push(fn);
+      },
+      off(event, fn) {
+        handlers[event] = (handlers[event] || []).filter((h) => h !== fn);
+      },
+      emit(event, ...args) {
+        (handlers[event] || []).forEach((fn) => fn(...args));
+      },
+      async getTokenBalance() {
+        return Number(balance) || 0;
+      }
+    };
+    return provider;
+  }
+
+  function mockFromEnv() {
+    let raw = null;
+    try { raw = localStorage.getItem(MOCK_KEY); } catch (_) {}
+    if (raw === null && root.location && /[?&]mockWallet\b/.test(root.location.search)) raw = "1";
+    if (raw === null) return null;
+    let opts = {};
+    try { opts = JSON.parse(raw); } catch (_) {}
+    return createMockProvider(opts && typeof opts === "object" ? opts : {});
+  }
+
+  let mock;
+
+  // Wallets available on this page, best known first.
+  function providers() {
+    const out = [];
+    const seen = new Set();
+    const push = (id, label, provider) => {
+      if (!provider || typeof provider.connect !== "function" || seen.has(provider)) return;
+      seen.add(provider);
+      out.push({ id, label, provider });
+    };
+    if (mock === undefined) mock = mockFromEnv();
+    push("mock", "Mock Wallet", mock);
+    push("phantom", "Phantom", root.phantom && root.phantom.solana);
+    push("backpack", "Backpack", root.backpack && (root.backpack.solana || root.backpack));
+    if (root.solana) push("injected", root.solana.isPhantom ? "Phantom" : "Solana Wallet", root.solana);
+    return out;
+  }
+
+  function current() {
+    return active ? { id: active.id, label: active.label, publicKey: active.publicKey } : null;
+  }
+
+  function attach(entry, pk) {
+    const publicKey = keyString(pk || entry.provider.publicKey);
+    if (!publicKey) throw new Error("The wallet did not share an address.");
+    active = { ...entry, publicKey };
+    try { localStorage.setItem(LAST_KEY, entry.id); } catch (_) {}
+    if (typeof entry.provider.on === "function" && !wired.has(entry.provider)) {
+      wired.add(entry.provider);
+      entry.provider.on("accountChanged", (next) => {
+        if (!active || active.provider !== entry.provider) return;
+        if (next) { active.publicKey = keyString(next); emit(); }
+        else disconnect();
+      });
+      entry.provider.on("disconnect", () => {
+        if (active && active.provider === entry.provider) { active = null; emit(); }
+      });
+    }
+    emit();
+    return current();
+  }
+
+  async function connect(id) {
+    const entry = providers().find((p) => p.id === id);
+    if (!entry) throw new Error("That wallet is not available in this browser.");
+    const res = await entry.provider.connect();
+    return attach(entry, res && res.publicKey);
+  }
+
+  async function disconnect() {
+    const was = active;
+    active = null;
+    try { localStorage.removeItem(LAST_KEY); } catch (_) {}
+    emit();
+    if (was) {
+      try { await was.provider.disconnect(); } catch (_) {}
+    }
+  }
+
+  // Reconnects the last wallet without a prompt, if it still trusts this site.
+  async function reconnect() {
+    if (active) return current();
+    let id = null;
+    try { id = localStorage.getItem(LAST_KEY); } catch (_) {}
+    const entry = id && providers().find((p) => p.id === id);
+    if (!entry) return null;
+    try {
+      const res = await entry.provider.connect({ onlyIfTrusted: true });
+      return attach(entry, res && res.publicKey);
+    } catch (_) {
+      return null;
+    }
+  }
+
+  /**
+   * The connected wallet's balance of `mint`, in whole tokens. Asks the provider
+   * first when it implements getTokenBalance, otherwise the RPC.
+   */
+  async function tokenBalance(mint, { rpc } = {}) {
+    if (!active) return NaN;
+    if (typeof active.provider.getTokenBalance === "function") {
+      return Number(await active.provider.getTokenBalance(mint));
+    }
+    const client = rpc || root.WstReceipts.createRpc();
+    const res = await client.call("getTokenAccountsByOwner", [
+      active.publicKey,
+      { mint },
+      { encoding: "jsonParsed", commitment: "confirmed" }
+    ]);
+    return ((res && res.value) || []).reduce((sum, acc) => {
+      const amount = acc.account && acc.account.data && acc.account.data.parsed &&
+        acc.account.data.parsed.info && acc.account.data.parsed.info.tokenAmount;
+      const n = amount ? Number(amount.uiAmountString ?? amount.uiAmount) : 0;
+      return sum + (isFinite(n) ? n : 0);
+    }, 0);
+  }
+
+  // { tier, next, progress, supplyShare }; progress (0–1) is the way from this tier to the next.
+  function tierFor(balance) {
+    const b = Number(balance) || 0;
+    const found = TIERS.findIndex((t) => b >= t.min);
+    const i = found < 0 ? TIERS.length - 1 : found;
+    const tier = TIERS[i];
+    const next = i > 0 ? TIERS[i - 1] : null;
+    const progress = next ? Math.max(0, Math.min(1, (b - tier.min) / (next.min - tier.min))) : 1;
+    return { tier, next, progress, supplyShare: b / SUPPLY };
+  }
+
+  function onChange(fn) {
+    listeners.add(fn);
+    return () => listeners.delete(fn);
+  }
+
+  root.WstWallet = {
+    providers,
+    connect,
+    disconnect,
+    current,
+    reconnect,
+    tokenBalance,
+    tierFor,
+    TIERS,
+    createMockProvider,
+    onChange
+  };
+})(typeof window !== "undefined" ? window : globalThis);
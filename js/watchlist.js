@@ -0,0 +1,123 @@
+/* Family Watchlist storage (no external dependencies)
+ * - Ordered list of { id, name, input } kept in localStorage "wst_watchlist"
+ * - `input` is a Solana mint (optionally "pump"-suffixed) or a DexScreener pair address
+ * - Validation for adds, renames and imports; duplicates are refused
+ * - JSON import/export ({ version: 1, tokens: [{ name, input }] } or a bare array)
+ *
+ * Exposes window.WstWatchlist = { load, save, add, rename, remove, move, validate,
+ *   exportJson, importJson, MAX_ENTRIES }.
+ */
+(function () {
+  "use strict";
+
+  const STORAGE_KEY = "wst_watchlist";
+  const MAX_ENTRIES = 30;
+  const MAX_NAME = 40;
+  const ADDRESS = /^[1-9A-HJ-NP-Za-km-z]{32,44}(pump)?$/;
+
+  function newId() {
+    return Date.now().toString(36) + Math.random().toString(36).slice(2, 7);
+  }
+
+  function cleanName(name) {
+    return String(name || "").replace(/[\u0000-\u001f\u007f<>]/g, "").trim().slice(0, MAX_NAME);
+  }
+
+  // Returns an error message for a candidate entry, or "" when it is acceptable.
+  function validate(entry, list, ignoreId) {
+    const input = String((entry && entry.input) || "").trim();
+    if (!input) return "Paste a mint or pair address.";
+    if (!ADDRESS.test(input)) return "That is not a Solana mint or pair address.";
+    if (!cleanName(entry.name)) return "Give the token a name.";
+    if ((list || []).some((t) => t.input === input && t.id !== ignoreId)) return "That token is already on the list.";
+    if (!ignoreId && (list || []).length >= MAX_ENTRIES) return `The watchlist holds at most ${MAX_ENTRIES} tokens.`;
+    return "";
+  }
+
+  function sanitize(list) {
+    const out = [];
+    (Array.isArray(list) ? list : []).forEach((t) => {
+      const entry = { id: (t && t.id) || newId(), name: cleanName(t && t.name), input: String((t && t.input) || "").trim() };
+      if (!validate(entry, out)) out.push(entry);
+    });
+    return out;
+  }
+
+  /**
+   * The saved list, or `defaults` (sanitized, not saved) when nothing has been
+   * saved yet. An empty saved list stays empty.
+   */
+  function load(defaults) {
+    try {
+      const raw = localStorage.getItem(STORAGE_KEY);
+      if (raw !== null) return sanitize(JSON.parse(raw));
+    } catch (_) {}
+    return sanitize(defaults);
+  }
+
+  function save(list) {
+    const clean = sanitize(list);
+    try { localStorage.setItem(STORAGE_KEY, JSON.stringify(clean)); } catch (_) {}
+    return clean;
+  }
+
+  // Each edit returns { list, error }; on error the list is unchanged and unsaved.
+  function add(list, entry) {
+    const candidate = { id: newId(), name: cleanName(entry.name), input: String(entry.input || "").trim() };
+    const error = validate(candidate, list);
+    return error ? { list, error } : { list: save(list.concat(candidate)), error: "" };
+  }
+
+  function rename(list, id, name) {
+    const target = list.find((t) => t.id === id);
+    if (!target) return { list, error: "" };
+    const error = validate({ ...target, name }, list, id);
+    if (error) return { list, error };
+    return { list: save(list.map((t) => (t.id === id ? { ...t, name: cleanName(name) } : t))), error: "" };
+  }
+
+  function remove(list, id) {
+    return { list: save(list.filter((t) => t.id !== id)), error: "" };
+  }
+
+  // Moves an entry up (-1) or down (+1) one place.
+  function move(list, id, delta) {
+    const from = list.findIndex((t) => t.id === id);
+    const to = from + delta;
+    if (from < 0 || to < 0 || to >= list.length) return { list, error: "" };
+    const next = list.slice();
+    next.splice(to, 0, next.splice(from, 1)[0]);
+    return { list: save(next), error: "" };
+  }
+
+  function exportJson(list) {
+    return JSON.stringify({ version: 1, tokens: list.map((t) => ({ name: t.name, input: t.input })) }, null, 2);
+  }
+
+  /**
+   * Merges an exported list into `list`: new tokens are appended, tokens already
+   * present are skipped. Returns { list, added, skipped, error }.
+   */
+  function importJson(list, text) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (_) {
+      return { list, added: 0, skipped: 0, error: "That file is not valid JSON." };
+    }
+    const tokens = Array.isArray(data) ? data : data && data.tokens;
+    if (!Array.isArray(tokens)) return { list, added: 0, skipped: 0, error: "No tokens found in that file." };
+
+    let next = list;
+    let added = 0;
+    let skipped = 0;
+    tokens.forEach((t) => {
+      const res = add(next, { name: t && t.name, input: t && t.input });
+      if (res.error) skipped++;
+      else { next = res.list; added++; }
+    });
+    return { list: next, added, skipped, error: "" };
+  }
+
+  window.WstWatchlist = { load, save, add, rename, remove, move, validate, exportJson, importJson, MAX_ENTRIES };
+})();
@@ -0,0 +1,108 @@
+import { createArchiveFromEnv } from "../lib/archive-store.js";
+import { verifyAdmitToken } from "../lib/admit.js";
+import { HttpError, ValidationError, errorBody, toHttpError } from "../lib/errors.js";
+import { clientIp, createRateLimiterFromEnv } from "../lib/ratelimit.js";
+import { parseKnowledge } from "../lib/validate.js";
+
+// GET    ?q=&page=&pageSize=            browse the public archive
+// POST   { admitToken, knowledge }      archive an offering the Librarian admitted
+// POST   { action: "flag", id }         any visitor can flag an entry for review
+// PATCH  { id, hidden?, flagged? }      moderation; needs Authorization: Bearer $WST_ARCHIVE_ADMIN_TOKEN
+//        (with ?includeHidden=1 on GET, the same header lists hidden entries too)
+
+const archive = createArchiveFromEnv();
+
+// Flags need no token, so they get their own limits (WST_RATE_FLAG_*, see lib/ratelimit.js).
+const flagLimiter = createRateLimiterFromEnv(process.env, {
+  scope: "flag",
+  defaults: { perIp: { capacity: 5, perMinute: 2 }, global: { capacity: 60, perMinute: 60 }, dailyCap: 0 }
+});
+
+function json(statusCode, payload, headers = {}) {
+  return {
+    statusCode,
+    headers: { "Content-Type": "application/json", ...headers },
+    body: JSON.stringify(payload)
+  };
+}
+
+function isAdmin(event) {
+  const token = process.env.WST_ARCHIVE_ADMIN_TOKEN;
+  const headers = event.headers || {};
+  const auth = headers.authorization || headers.Authorization || "";
+  return Boolean(token) && auth === `Bearer ${token}`;
+}
+
+function parseBody(event) {
+  try {
+    const body = JSON.parse(event.body || "{}");
+    if (body && typeof body === "object" && !Array.isArray(body)) return body;
+  } catch (err) {
+    // fall through
+  }
+  throw new ValidationError("body", "body must be a JSON object.");
+}
+
+function requireId(body) {
+  if (typeof body.id !== "string" || !body.id) {
+    throw new ValidationError("id", "id must be a string.");
+  }
+  return body.id;
+}
+
+async function browse(event) {
+  const params = event.queryStringParameters || {};
+  const page = parseInt(params.page, 10) || 1;
+  const pageSize = parseInt(params.pageSize, 10) || 20;
+  const q = String(params.q || "").slice(0, 100);
+  const includeHidden = params.includeHidden === "1";
+  if (includeHidden && !isAdmin(event)) {
+    throw new HttpError(401, "unauthorized", "Only moderators may see hidden entries.");
+  }
+  return json(200, await archive.list({ q, page, pageSize, includeHidden }));
+}
+
+async function submit(event) {
+  const body = parseBody(event);
+
+  if (body.action === "flag") {
+    const id = requireId(body);
+    await flagLimiter.consume(clientIp(event));
+    await archive.moderate(id, { flagged: true });
+    return json(200, { ok: true });
+  }
+
+  const knowledge = parseKnowledge(body.knowledge);
+  const claims = verifyAdmitToken(body.admitToken, knowledge);
+  if (!claims) {
+    throw new HttpError(403, "not_admitted", "Only knowledge the Librarian admitted may be archived.");
+  }
+
+  const entry = await archive.add({ ...claims, knowledge });
+  return json(201, { entry });
+}
+
+async function moderate(event) {
+  if (!isAdmin(event)) {
+    throw new HttpError(401, "unauthorized", "Moderator token required.");
+  }
+  const body = parseBody(event);
+  const entry = await archive.moderate(requireId(body), {
+    hidden: body.hidden,
+    flagged: body.flagged
+  });
+  return json(200, { entry });
+}
+
+export async function handler(event) {
+  try {
+    if (event.httpMethod === "GET") return await browse(event);
+    if (event.httpMethod === "POST") return await submit(event);
+    if (event.httpMethod === "PATCH") return await moderate(event);
+    throw new HttpError(405, "method_not_allowed", "Use GET, POST or PATCH.");
+  } catch (err) {
+    const httpErr = toHttpError(err);
+    if (httpErr !== err) console.error("Archive error:", err);
+    return json(httpErr.statusCode, errorBody(httpErr, httpErr.message), httpErr.headers);
+  }
+}
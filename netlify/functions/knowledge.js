@@ -1,41 +1,231 @@
-import OpenAI from "openai";
+import { stream } from "@netlify/functions";
+import { getProvider } from "../lib/llm/index.js";
+import { AUDIENCE_RULES, CAST_OUT_MARKER, GUARD, PERSONA } from "../lib/persona.js";
+import { parseKnowledgeRequest } from "../lib/validate.js";
+import { JUDGEMENT_FORMAT, JUDGE_RULES, parseJudgement } from "../lib/judgement.js";
+import { issueAdmitToken } from "../lib/admit.js";
+import { clientIp, createRateLimiterFromEnv } from "../lib/ratelimit.js";
+import {
+  HttpError,
+  ProviderError,
+  ProviderTimeoutError,
+  errorBody,
+  toHttpError
+} from "../lib/errors.js";
 
-const client = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY
-});
+// An audience lasts this many visitor turns; the Librarian dismisses anyone who lingers.
+export const MAX_TURNS = 8;
 
-export async function handler(event) {
-  if (event.httpMethod !== "POST") {
-    return { statusCode: 405, body: "Method Not Allowed" };
-  }
+const LLM_TIMEOUT_MS = Number(process.env.WST_LLM_TIMEOUT_MS) || 20000;
 
-  try {
-    const { name, knowledge } = JSON.parse(event.body || "{}");
+// Every call that reaches the model spends money; see lib/ratelimit.js for the knobs.
+const limiter = createRateLimiterFromEnv();
 
-    const response = await client.responses.create({
-      model: "gpt-4.1-mini",
-      input: `You are Wan Shi Tong, the ancient owl spirit who guards all knowledge.
-Respond in-character. Be stern, wise, and slightly judgmental. Keep it to 1–3 short paragraphs.
+const ERROR_REPLY = "The Librarian cannot speak—an error stirs in the stacks.";
 
-Visitor name: ${name}
-Knowledge offered: ${knowledge}`
-    });
+// In-character lines for each error code; the `error` object carries the plain facts.
+const ERROR_REPLIES = {
+  validation_error: "Speak plainly, mortal. I will not accept what you have written.",
+  provider_timeout: "The Librarian is lost deep in the stacks. Ask again in a moment.",
+  rate_limited: "Patience. The Librarian hears one question at a time.",
+  daily_cap_reached: "The library's doors are closed for today. Return tomorrow.",
+  method_not_allowed: "That is not how one addresses the Librarian."
+};
 
-    const reply = response.output_text;
+function json(statusCode, payload, headers = {}) {
+  return {
+    statusCode,
+    headers: { "Content-Type": "application/json", ...headers },
+    body: JSON.stringify(payload)
+  };
+}
 
-    return {
-      statusCode: 200,
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify({ reply })
-    };
+function errorResponse(err) {
+  const httpErr = toHttpError(err);
+  if (httpErr !== err) console.error("Wan Shi Tong error:", err);
+  const reply = ERROR_REPLIES[httpErr.code] || ERROR_REPLY;
+  return json(httpErr.statusCode, errorBody(httpErr, reply), httpErr.headers);
+}
+
+function sse(event, data) {
+  return `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+}
+
+function wantsStream(event, stream) {
+  const headers = event.headers || {};
+  const accept = headers.accept || headers.Accept || "";
+  return stream || accept.includes("text/event-stream");
+}
+
+// Passes streamed text through while holding back anything that could be the
+// start of `marker`, so the marker itself never reaches the visitor.
+function markerFilter(marker) {
+  let pending = "";
+  return {
+    push(text) {
+      pending = (pending + text).split(marker).join("");
+      let keep = 0;
+      for (let n = Math.min(marker.length - 1, pending.length); n > 0; n--) {
+        if (marker.startsWith(pending.slice(-n))) {
+          keep = n;
+          break;
+        }
+      }
+      const out = pending.slice(0, pending.length - keep);
+      pending = pending.slice(pending.length - keep);
+      return out;
+    },
+    flush() {
+      const out = pending;
+      pending = "";
+      return out;
+    }
+  };
+}
+
+// Runs a provider call under the timeout and maps its failures onto error codes.
+async function withProvider(run) {
+  const provider = getProvider();
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), LLM_TIMEOUT_MS);
+  try {
+    return await run(provider, controller.signal);
   } catch (err) {
-    console.error("Wan Shi Tong error:", err);
+    if (err instanceof HttpError) throw err;
+    if (controller.signal.aborted || err?.name === "AbortError") throw new ProviderTimeoutError();
+    console.error("Wan Shi Tong provider error:", err);
+    throw new ProviderError();
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+function introduce(name) {
+  return name ? `(The visitor gives their name as "${name}".)\n\n` : "";
+}
+
+function audienceRequest(name, messages) {
+  const turns = messages.filter((m) => m.role === "user").length;
+  if (turns > MAX_TURNS) {
     return {
-      statusCode: 500,
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify({
-        reply: "The Librarian cannot speak—an error stirs in the stacks."
-      })
+      dismissal: {
+        reply: "Enough. I have answered all I intend to answer today. Leave my library.",
+        castOut: false,
+        turnsLeft: 0
+      }
     };
   }
+
+  const [first, ...rest] = messages;
+  return {
+    streamable: true,
+    request: {
+      instructions: `${PERSONA}\n\n${AUDIENCE_RULES}\n\n${GUARD}`,
+      messages: [{ role: "user", content: introduce(name) + first.content }, ...rest]
+    },
+    finish(raw) {
+      const castOut = raw.includes(CAST_OUT_MARKER);
+      const reply = raw.split(CAST_OUT_MARKER).join("").trim();
+      return { reply, castOut, turnsLeft: MAX_TURNS - turns };
+    }
+  };
+}
+
+// An offering is judged, not chatted with: the reply is structured JSON
+// ({ reply, verdict, castOut, category, novelty, quality, score, admit }) and
+// always arrives whole, even when the client asked for a stream. Admitted
+// offerings also carry an admitToken the archive function accepts.
+function offeringRequest(name, knowledge) {
+  return {
+    streamable: false,
+    request: {
+      instructions: `${PERSONA}\n\n${JUDGE_RULES}\n\n${GUARD}`,
+      messages: [{ role: "user", content: `${introduce(name)}I offer this knowledge:\n\n${knowledge}` }],
+      format: JUDGEMENT_FORMAT
+    },
+    finish(raw) {
+      const judgement = parseJudgement(raw);
+      const admit = judgement.verdict === "admitted";
+      const admitToken = admit
+        ? issueAdmitToken({ knowledge, name, category: judgement.category, score: judgement.score })
+        : null;
+      return { ...judgement, admit, admitToken };
+    }
+  };
+}
+
+// Server-sent events: `token` events carry reply text as it is produced,
+// a final `done` event carries the same payload the JSON mode returns, and
+// an `error` event carries the same body an error response would.
+function streamReply({ request, finish }) {
+  const encoder = new TextEncoder();
+  const body = new ReadableStream({
+    async start(controller) {
+      const send = (event, data) => controller.enqueue(encoder.encode(sse(event, data)));
+      const filter = markerFilter(CAST_OUT_MARKER);
+      try {
+        const raw = await withProvider(async (provider, signal) => {
+          let text = "";
+          for await (const piece of provider.stream({ ...request, signal })) {
+            text += piece;
+            const delta = filter.push(piece);
+            if (delta) send("token", { delta });
+          }
+          return text;
+        });
+        const tail = filter.flush();
+        if (tail) send("token", { delta: tail });
+        send("done", finish(raw));
+      } catch (err) {
+        const httpErr = toHttpError(err);
+        send("error", errorBody(httpErr, ERROR_REPLIES[httpErr.code] || ERROR_REPLY));
+      }
+      controller.close();
+    }
+  });
+
+  return {
+    statusCode: 200,
+    headers: {
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache"
+    },
+    body
+  };
+}
+
+// The handler without the streaming wrapper, so it can be imported and called directly
+// (tests, local scripts). Streamed replies come back as a ReadableStream body.
+export async function respond(event) {
+  try {
+    if (event.httpMethod !== "POST") {
+      throw new HttpError(405, "method_not_allowed", "Use POST.", { headers: { Allow: "POST" } });
+    }
+
+    const req = parseKnowledgeRequest(event.body, { maxTurns: MAX_TURNS });
+
+    // Multi-turn audience: the client keeps the session and sends the full history.
+    const call = req.mode === "audience"
+      ? audienceRequest(req.name, req.messages)
+      : offeringRequest(req.name, req.knowledge);
+
+    if (call.dismissal) {
+      return json(200, call.dismissal);
+    }
+
+    await limiter.consume(clientIp(event));
+
+    if (call.streamable && wantsStream(event, req.stream)) {
+      return streamReply(call);
+    }
+
+    const raw = await withProvider((provider, signal) => provider.complete({ ...call.request, signal }));
+    return json(200, call.finish(raw));
+  } catch (err) {
+    return errorResponse(err);
+  }
 }
+
+// `stream()` calls `awslambda.streamifyResponse`, which only exists in the Lambda runtime;
+// anywhere else the plain handler is exported.
+export const handler = typeof awslambda === "undefined" ? respond : stream(respond);
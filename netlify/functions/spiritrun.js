@@ -0,0 +1,127 @@
+import { INPUTS, REPLAY_VERSION, TICK, dailySeed, replayRun } from "../../js/spiritrun.js";
+import { createLeaderboardFromEnv } from "../lib/leaderboard-store.js";
+import { HttpError, ValidationError, errorBody, toHttpError } from "../lib/errors.js";
+import { clientIp, createRateLimiterFromEnv } from "../lib/ratelimit.js";
+import { parseName } from "../lib/validate.js";
+
+// GET   ?day=YYYY-MM-DD       the daily challenge's seed and leaderboard (today by default, UTC)
+// POST  { name, replay }      submit a daily-challenge run; `replay` is run.record() from
+//                             js/spiritrun.js. The run is played again here and only a score
+//                             the replay reproduces goes on the board.
+
+const leaderboard = createLeaderboardFromEnv();
+
+// Replaying a run can take up to MAX_TICKS steps, so submissions have their own limits
+// (WST_RATE_REPLAY_*, see lib/ratelimit.js).
+const replayLimiter = createRateLimiterFromEnv(process.env, {
+  scope: "replay",
+  defaults: { perIp: { capacity: 4, perMinute: 4 }, global: { capacity: 60, perMinute: 120 }, dailyCap: 0 }
+});
+
+const MAX_TICKS = Math.round((30 * 60) / TICK); // half an hour of running
+const MAX_INPUTS = 20000;
+const INPUT_CODES = new Set(Object.values(INPUTS));
+const DAY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+function json(statusCode, payload, headers = {}) {
+  return {
+    statusCode,
+    headers: { "Content-Type": "application/json", ...headers },
+    body: JSON.stringify(payload)
+  };
+}
+
+function parseBody(event) {
+  try {
+    const body = JSON.parse(event.body || "{}");
+    if (body && typeof body === "object" && !Array.isArray(body)) return body;
+  } catch (err) {
+    // fall through
+  }
+  throw new ValidationError("body", "body must be a JSON object.");
+}
+
+function dayOf(seed) {
+  return seed.slice("daily-".length);
+}
+
+// Today's and yesterday's challenges are open, so a run that ends after midnight UTC still counts.
+function openSeeds(at = Date.now()) {
+  return [dailySeed(new Date(at)), dailySeed(new Date(at - 86400000))];
+}
+
+function isCount(n, max) {
+  return Number.isInteger(n) && n >= 0 && n <= max;
+}
+
+function parseReplay(replay) {
+  if (!replay || typeof replay !== "object" || Array.isArray(replay)) {
+    throw new ValidationError("replay", "replay must be an object.");
+  }
+  if (replay.v !== REPLAY_VERSION) {
+    throw new ValidationError("replay", `replay must be version ${REPLAY_VERSION}.`);
+  }
+  if (!openSeeds().includes(replay.seed)) {
+    throw new HttpError(422, "challenge_closed", "Only today's daily challenge can be submitted.", { field: "replay" });
+  }
+  if (!isCount(replay.ticks, MAX_TICKS) || replay.ticks === 0) {
+    throw new ValidationError("replay", "replay.ticks is out of range.");
+  }
+  if (!isCount(replay.score, Number.MAX_SAFE_INTEGER)) {
+    throw new ValidationError("replay", "replay.score must be a whole number.");
+  }
+  const inputs = replay.inputs;
+  if (!Array.isArray(inputs) || inputs.length > MAX_INPUTS) {
+    throw new ValidationError("replay", `replay.inputs must be a list of at most ${MAX_INPUTS} inputs.`);
+  }
+  let last = 0;
+  for (const input of inputs) {
+    if (!Array.isArray(input) || input.length !== 2 || !isCount(input[0], replay.ticks) || input[0] < last || !INPUT_CODES.has(input[1])) {
+      throw new ValidationError("replay", "replay.inputs must be [tick, code] pairs in tick order.");
+    }
+    last = input[0];
+  }
+  return { v: replay.v, seed: replay.seed, ticks: replay.ticks, score: replay.score, inputs };
+}
+
+async function board(event) {
+  const params = event.queryStringParameters || {};
+  const day = params.day ? String(params.day) : dayOf(dailySeed());
+  if (!DAY_PATTERN.test(day)) throw new ValidationError("day", "day must be YYYY-MM-DD.");
+  return json(200, { day, seed: `daily-${day}`, entries: await leaderboard.top(day) });
+}
+
+async function submit(event) {
+  const body = parseBody(event);
+  const name = parseName(body.name);
+  if (!name) throw new ValidationError("name", "name must not be empty.");
+  const replay = parseReplay(body.replay);
+  await replayLimiter.consume(clientIp(event));
+
+  const state = replayRun(replay, { maxTicks: MAX_TICKS });
+  if (!state.over || state.tick !== replay.ticks || state.score !== replay.score) {
+    throw new HttpError(422, "replay_rejected", "The replay does not reproduce that score.", { field: "replay" });
+  }
+
+  const day = dayOf(replay.seed);
+  const result = await leaderboard.submit(day, {
+    name,
+    score: state.score,
+    scrolls: state.scrolls,
+    distance: Math.round(state.distance),
+    ticks: state.tick
+  });
+  return json(201, { day, ...result });
+}
+
+export async function handler(event) {
+  try {
+    if (event.httpMethod === "GET") return await board(event);
+    if (event.httpMethod === "POST") return await submit(event);
+    throw new HttpError(405, "method_not_allowed", "Use GET or POST.");
+  } catch (err) {
+    const httpErr = toHttpError(err);
+    if (httpErr !== err) console.error("Spirit Run error:", err);
+    return json(httpErr.statusCode, errorBody(httpErr, httpErr.message), httpErr.headers);
+  }
+}
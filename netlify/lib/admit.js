@@ -0,0 +1,64 @@
+// Admission tokens. When the Librarian admits an offering, the knowledge
+// function signs a short token over the offering's fingerprint; the archive
+// function only stores offerings that come with a valid token.
+
+import { createHash, createHmac, timingSafeEqual } from "node:crypto";
+
+const TOKEN_TTL_MS = 60 * 60 * 1000;
+
+function secret(env = process.env) {
+  if (env.WST_ARCHIVE_SECRET) return env.WST_ARCHIVE_SECRET;
+  // `netlify dev` sets NETLIFY_DEV; a fixed key keeps local runs working.
+  return env.NETLIFY_DEV === "true" ? "wst-dev-archive-secret" : null;
+}
+
+// Same fact, same fingerprint: case, punctuation and spacing don't matter.
+export function fingerprint(text) {
+  const normalized = String(text)
+    .normalize("NFKC")
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, " ")
+    .trim();
+  return createHash("sha256").update(normalized).digest("hex");
+}
+
+function sign(payload, key) {
+  return createHmac("sha256", key).update(payload).digest("base64url");
+}
+
+// Returns null when no signing key is configured; offerings are then not archivable.
+export function issueAdmitToken({ knowledge, name, category, score }, { now = Date.now } = {}) {
+  const key = secret();
+  if (!key) return null;
+  const payload = Buffer.from(JSON.stringify({
+    f: fingerprint(knowledge),
+    n: name || "",
+    c: category,
+    s: score,
+    iat: now()
+  })).toString("base64url");
+  return `${payload}.${sign(payload, key)}`;
+}
+
+// Returns the signed claims if `token` is genuine, fresh and matches `knowledge`.
+export function verifyAdmitToken(token, knowledge, { now = Date.now } = {}) {
+  const key = secret();
+  if (!key || typeof token !== "string") return null;
+  const [payload, mac] = token.split(".");
+  if (!payload || !mac) return null;
+
+  const expected = Buffer.from(sign(payload, key));
+  const given = Buffer.from(mac);
+  if (expected.length !== given.length || !timingSafeEqual(expected, given)) return null;
+
+  let claims;
+  try {
+    claims = JSON.parse(Buffer.from(payload, "base64url").toString("utf8"));
+  } catch (err) {
+    return null;
+  }
+  if (!claims || now() - claims.iat > TOKEN_TTL_MS) return null;
+  if (claims.f !== fingerprint(knowledge)) return null;
+
+  return { fingerprint: claims.f, name: claims.n, category: claims.c, score: claims.s };
+}
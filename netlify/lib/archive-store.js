@@ -0,0 +1,181 @@
+// Community archive of admitted offerings.
+//
+// The archive is one JSON document ({ entries: [...] }) behind a tiny backend
+// interface:
+//   read()                 -> { data, version }
+//   write(data, version)   -> true, or false when the document changed since that read
+// Two backends:
+//   file   a JSON file on disk, for `netlify dev` (WST_ARCHIVE_FILE, default .data/archive.json)
+//   blobs  a Netlify Blobs entry, for deploys; writes are conditional on the entry's ETag,
+//          so concurrent function instances cannot overwrite each other's changes
+// WST_ARCHIVE_STORE picks one; by default `netlify dev` uses file and deploys use blobs.
+
+import { randomUUID } from "node:crypto";
+import { mkdir, readFile, rename, writeFile } from "node:fs/promises";
+import { dirname } from "node:path";
+import { HttpError } from "./errors.js";
+
+export const MAX_PAGE_SIZE = 50;
+
+// Conditional writes that lose a race are retried this many times before giving up.
+const WRITE_ATTEMPTS = 6;
+
+const emptyArchive = () => ({ entries: [] });
+
+// `empty` makes the document a missing file starts as; other stores (the Spirit Run
+// leaderboard) reuse both backends with their own.
+// The file backend is for a single local process, where createMutator's queue already
+// serializes writes, so it has no versions.
+export function createFileBackend(path, { empty = emptyArchive } = {}) {
+  return {
+    async read() {
+      try {
+        return { data: JSON.parse(await readFile(path, "utf8")), version: null };
+      } catch (err) {
+        if (err.code === "ENOENT") return { data: empty(), version: null };
+        throw err;
+      }
+    },
+    async write(data) {
+      await mkdir(dirname(path), { recursive: true });
+      const tmp = `${path}.tmp`;
+      await writeFile(tmp, JSON.stringify(data, null, 2));
+      await rename(tmp, path);
+      return true;
+    }
+  };
+}
+
+// `store` is for tests: anything with Netlify Blobs' getWithMetadata/setJSON.
+export function createBlobsBackend(name = "wst-archive", { key = "archive", empty = emptyArchive, store = null } = {}) {
+  let blobs = store;
+  const open = async () => {
+    if (!blobs) {
+      const { getStore } = await import("@netlify/blobs");
+      blobs = getStore(name);
+    }
+    return blobs;
+  };
+  return {
+    async read() {
+      const found = await (await open()).getWithMetadata(key, { type: "json" });
+      return found ? { data: found.data, version: found.etag } : { data: empty(), version: null };
+    },
+    async write(data, version) {
+      const condition = version ? { onlyIfMatch: version } : { onlyIfNew: true };
+      const { modified } = await (await open()).setJSON(key, data, condition);
+      return modified;
+    }
+  };
+}
+
+const pause = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Read-modify-write over a backend: `mutate(fn)` reads the document, lets `fn(data)`
+ * change it in place and writes it back, reading and applying `fn` again whenever
+ * another instance wrote first. Resolves to what `fn` returned; a store that stays
+ * contended throws a 503 `store_busy` error.
+ */
+export function createMutator(backend, { attempts = WRITE_ATTEMPTS } = {}) {
+  // Within this instance, writes also wait their turn.
+  let queue = Promise.resolve();
+  return (fn) => {
+    const run = queue.then(async () => {
+      for (let attempt = 0; attempt < attempts; attempt++) {
+        if (attempt) await pause(Math.random() * 25 * 2 ** attempt);
+        const { data, version } = await backend.read();
+        const result = await fn(data);
+        if (await backend.write(data, version)) return result;
+      }
+      throw new HttpError(503, "store_busy", "Too many changes at once. Try again.", { headers: { "Retry-After": "1" } });
+    });
+    queue = run.catch(() => {});
+    return run;
+  };
+}
+
+function publicEntry(e) {
+  return {
+    id: e.id,
+    knowledge: e.knowledge,
+    name: e.name,
+    category: e.category,
+    score: e.score,
+    createdAt: e.createdAt,
+    flagged: e.flagged
+  };
+}
+
+export function createArchive(backend, { now = Date.now } = {}) {
+  const mutate = createMutator(backend);
+
+  return {
+    async list({ q = "", page = 1, pageSize = 20, includeHidden = false } = {}) {
+      const { data } = await backend.read();
+      const needle = q.trim().toLowerCase();
+      const size = Math.min(MAX_PAGE_SIZE, Math.max(1, pageSize));
+      const matches = data.entries
+        .filter((e) => includeHidden || !e.hidden)
+        .filter((e) => !needle
+          || e.knowledge.toLowerCase().includes(needle)
+          || (e.name || "").toLowerCase().includes(needle)
+          || e.category === needle)
+        .sort((a, b) => b.createdAt - a.createdAt);
+      const start = (Math.max(1, page) - 1) * size;
+      return {
+        items: matches.slice(start, start + size).map((e) => (includeHidden ? { ...e } : publicEntry(e))),
+        total: matches.length,
+        page: Math.max(1, page),
+        pageSize: size
+      };
+    },
+
+    // Throws a 409 `duplicate` error when the same fact is already archived.
+    add({ fingerprint, knowledge, name, category, score }) {
+      return mutate((data) => {
+        const existing = data.entries.find((e) => e.fingerprint === fingerprint);
+        if (existing) {
+          const err = new HttpError(409, "duplicate", "The library already holds this knowledge.");
+          err.id = existing.id;
+          throw err;
+        }
+        const entry = {
+          id: randomUUID(),
+          fingerprint,
+          knowledge,
+          name: name || "",
+          category,
+          score,
+          createdAt: now(),
+          hidden: false,
+          flagged: false
+        };
+        data.entries.push(entry);
+        return publicEntry(entry);
+      });
+    },
+
+    // Applies a moderation patch ({ hidden?, flagged? }) to one entry.
+    moderate(id, patch) {
+      return mutate((data) => {
+        const entry = data.entries.find((e) => e.id === id);
+        if (!entry) throw new HttpError(404, "not_found", "No such archive entry.");
+        if (typeof patch.hidden === "boolean") entry.hidden = patch.hidden;
+        if (typeof patch.flagged === "boolean") entry.flagged = patch.flagged;
+        return { ...entry };
+      });
+    }
+  };
+}
+
+export function createArchiveFromEnv(env = process.env) {
+  const kind = env.WST_ARCHIVE_STORE || (env.NETLIFY_DEV === "true" ? "file" : "blobs");
+  if (kind === "file") {
+    return createArchive(createFileBackend(env.WST_ARCHIVE_FILE || ".data/archive.json"));
+  }
+  if (kind === "blobs") {
+    return createArchive(createBlobsBackend());
+  }
+  throw new Error(`Unknown WST_ARCHIVE_STORE "${kind}".`);
+}
@@ -0,0 +1,57 @@
+// Structured errors for the Netlify functions. Every failure carries an HTTP
+// status and a stable `code` the client can switch on; `field` names the bad
+// input for validation errors.
+
+export class HttpError extends Error {
+  constructor(statusCode, code, message, { field, headers } = {}) {
+    super(message);
+    this.name = "HttpError";
+    this.statusCode = statusCode;
+    this.code = code;
+    this.field = field;
+    this.headers = headers;
+  }
+}
+
+export class ValidationError extends HttpError {
+  constructor(field, message) {
+    super(400, "validation_error", message, { field });
+    this.name = "ValidationError";
+  }
+}
+
+export class ProviderTimeoutError extends HttpError {
+  constructor(message = "The model took too long to answer.") {
+    super(504, "provider_timeout", message);
+    this.name = "ProviderTimeoutError";
+  }
+}
+
+export class ProviderError extends HttpError {
+  constructor(message = "The model provider failed.") {
+    super(502, "provider_error", message);
+    this.name = "ProviderError";
+  }
+}
+
+export class RateLimitError extends HttpError {
+  constructor(code, message, retryAfter) {
+    super(429, code, message, { headers: { "Retry-After": String(retryAfter) } });
+    this.name = "RateLimitError";
+    this.retryAfter = retryAfter;
+  }
+}
+
+// Anything that isn't already an HttpError becomes an opaque 500.
+export function toHttpError(err) {
+  if (err instanceof HttpError) return err;
+  return new HttpError(500, "internal_error", "Unexpected server error.");
+}
+
+export function errorBody(err, reply) {
+  const body = { reply, error: { code: err.code, message: err.message } };
+  if (err.field) body.error.field = err.field;
+  if (err.retryAfter) body.error.retryAfter = err.retryAfter;
+  if (err.id) body.error.id = err.id;
+  return body;
+}
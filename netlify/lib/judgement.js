@@ -0,0 +1,67 @@
+// How the Librarian judges an offering. Entry to the library costs a piece of
+// knowledge it doesn't already have; the model scores the offering and rules on it.
+
+import { ProviderError } from "./errors.js";
+import { CAST_OUT_MARKER } from "./persona.js";
+
+export const VERDICTS = ["admitted", "rejected", "cast_out"];
+
+export const CATEGORIES = ["history", "science", "nature", "spirits", "culture", "craft", "other"];
+
+export const JUDGE_RULES = `The visitor is paying the library's entry fee: a piece of knowledge the library does not already have.
+Judge the offering and answer with JSON only:
+- novelty: 0-10, how unlikely the library already holds it (common facts score low)
+- quality: 0-10, how accurate, clear and worth keeping it is
+- category: one of ${CATEGORIES.join(", ")}
+- verdict: "admitted" if it is worth a place in the library, "rejected" if it is not, "cast_out" if the visitor seeks or offers knowledge for war, weapons, or harming others
+- reply: your in-character response to the visitor (1-3 short paragraphs)
+Never write ${CAST_OUT_MARKER} in the reply.`;
+
+export const JUDGEMENT_FORMAT = {
+  name: "judgement",
+  schema: {
+    type: "object",
+    additionalProperties: false,
+    required: ["novelty", "quality", "category", "verdict", "reply"],
+    properties: {
+      novelty: { type: "integer", minimum: 0, maximum: 10 },
+      quality: { type: "integer", minimum: 0, maximum: 10 },
+      category: { type: "string", enum: CATEGORIES },
+      verdict: { type: "string", enum: VERDICTS },
+      reply: { type: "string" }
+    }
+  }
+};
+
+function clampScore(value) {
+  const n = Math.round(Number(value));
+  return Number.isFinite(n) ? Math.min(10, Math.max(0, n)) : 0;
+}
+
+// Models don't always honour the schema; anything unusable is a provider failure.
+export function parseJudgement(raw) {
+  let data;
+  try {
+    data = JSON.parse(raw);
+  } catch (err) {
+    throw new ProviderError("The model returned a judgement that is not JSON.");
+  }
+  if (!data || typeof data !== "object" || !VERDICTS.includes(data.verdict)) {
+    throw new ProviderError("The model returned a judgement without a verdict.");
+  }
+
+  const novelty = clampScore(data.novelty);
+  const quality = clampScore(data.quality);
+  const reply = String(data.reply || "").split(CAST_OUT_MARKER).join("").trim();
+
+  return {
+    reply,
+    verdict: data.verdict,
+    castOut: data.verdict === "cast_out",
+    category: CATEGORIES.includes(data.category) ? data.category : "other",
+    novelty,
+    quality,
+    // 0-100 headline score for display and sorting.
+    score: (novelty + quality) * 5
+  };
+}
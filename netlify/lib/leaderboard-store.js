@@ -0,0 +1,67 @@
+// Spirit Run daily-challenge leaderboards.
+//
+// One JSON document ({ days: { "YYYY-MM-DD": [entry, ...] } }) on the same backends as the
+// archive, with the same conditional writes (see archive-store.js):
+//   file   a JSON file on disk, for `netlify dev` (WST_LEADERBOARD_FILE, default .data/leaderboard.json)
+//   blobs  a Netlify Blobs entry, for deploys
+// WST_LEADERBOARD_STORE picks one; by default `netlify dev` uses file and deploys use blobs.
+// Each day keeps the best run per name, at most MAX_ENTRIES of them, for KEEP_DAYS days.
+
+import { createBlobsBackend, createFileBackend, createMutator } from "./archive-store.js";
+
+export const MAX_ENTRIES = 100;
+export const KEEP_DAYS = 14;
+
+const emptyBoard = () => ({ days: {} });
+
+function byRank(a, b) {
+  return b.score - a.score || a.createdAt - b.createdAt;
+}
+
+function sameName(a, b) {
+  return a.toLowerCase() === b.toLowerCase();
+}
+
+export function createLeaderboard(backend, { now = Date.now } = {}) {
+  const mutate = createMutator(backend);
+
+  return {
+    async top(day, limit = 20) {
+      const { data } = await backend.read();
+      const entries = (data.days && data.days[day]) || [];
+      return entries.slice().sort(byRank).slice(0, Math.max(1, limit));
+    },
+
+    // Keeps `run` ({ name, score, scrolls, distance, ticks }) if it is the name's best
+    // that day. Resolves to { entry, rank, improved }; `entry` is the name's best run.
+    submit(day, run) {
+      return mutate((data) => {
+        data.days = data.days || {};
+        const entries = data.days[day] || [];
+        const existing = entries.find((e) => sameName(e.name, run.name));
+        let entry = existing;
+        if (!existing || run.score > existing.score) {
+          entry = { ...run, createdAt: now() };
+          data.days[day] = entries.filter((e) => e !== existing).concat(entry).sort(byRank).slice(0, MAX_ENTRIES);
+        }
+
+        const cutoff = new Date(now() - KEEP_DAYS * 86400000).toISOString().slice(0, 10);
+        Object.keys(data.days).forEach((d) => { if (d < cutoff) delete data.days[d]; });
+
+        const rank = (data.days[day] || []).indexOf(entry) + 1; // 0 when it did not make the board
+        return { entry: { ...entry }, rank, improved: entry !== existing };
+      });
+    }
+  };
+}
+
+export function createLeaderboardFromEnv(env = process.env) {
+  const kind = env.WST_LEADERBOARD_STORE || (env.NETLIFY_DEV === "true" ? "file" : "blobs");
+  if (kind === "file") {
+    return createLeaderboard(createFileBackend(env.WST_LEADERBOARD_FILE || ".data/leaderboard.json", { empty: emptyBoard }));
+  }
+  if (kind === "blobs") {
+    return createLeaderboard(createBlobsBackend("wst-leaderboard", { key: "leaderboard", empty: emptyBoard }));
+  }
+  throw new Error(`Unknown WST_LEADERBOARD_STORE "${kind}".`);
+}
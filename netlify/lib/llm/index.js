@@ -0,0 +1,53 @@
+// LLM provider selection for the knowledge function.
+//
+// Environment:
+//   WST_LLM_PROVIDER   openai (default) | openai-compatible | mock
+//   WST_LLM_MODEL      model name (default gpt-4.1-mini for openai; required for openai-compatible)
+//   WST_LLM_BASE_URL   base URL for openai-compatible (default http://localhost:11434/v1, Ollama)
+//   WST_LLM_API_KEY    key for openai-compatible, if the server wants one
+//   OPENAI_API_KEY     key for openai
+//
+// Every provider exposes the same shape:
+//   complete({ instructions, messages, format, signal }) -> Promise<string>
+//   stream({ instructions, messages, signal })           -> AsyncIterable<string>
+// where messages are { role: "user" | "assistant", content } in order.
+// Passing format = { name, schema } asks for JSON matching that JSON Schema;
+// the reply is still returned as a string for the caller to parse.
+
+import { createOpenAIProvider, createOpenAICompatibleProvider } from "./openai.js";
+import { createMockProvider } from "./mock.js";
+
+export function createProvider(env = process.env) {
+  const kind = (env.WST_LLM_PROVIDER || "openai").trim().toLowerCase();
+
+  if (kind === "mock") {
+    return createMockProvider();
+  }
+
+  if (kind === "openai-compatible" || kind === "local") {
+    if (!env.WST_LLM_MODEL) {
+      throw new Error("WST_LLM_MODEL is required for the openai-compatible provider.");
+    }
+    return createOpenAICompatibleProvider({
+      apiKey: env.WST_LLM_API_KEY || "not-needed",
+      baseURL: env.WST_LLM_BASE_URL || "http://localhost:11434/v1",
+      model: env.WST_LLM_MODEL
+    });
+  }
+
+  if (kind === "openai") {
+    return createOpenAIProvider({
+      apiKey: env.OPENAI_API_KEY,
+      model: env.WST_LLM_MODEL || "gpt-4.1-mini"
+    });
+  }
+
+  throw new Error(`Unknown WST_LLM_PROVIDER "${kind}".`);
+}
+
+let cached = null;
+
+// One provider per function instance, built on first use.
+export function getProvider() {
+  return cached || (cached = createProvider());
+}
@@ -0,0 +1,89 @@
+// Deterministic offline provider. Same input, same reply — no network, no key.
+// Visitors who mention war get cast out, exactly as the real model is told to do.
+
+import { CAST_OUT_MARKER } from "../persona.js";
+
+const REPLIES = [
+  "You come to my library and offer me that? I have heard it ten thousand times before. Still, a seeker who asks is better than one who assumes. Continue.",
+  "Hm. The foxes will file that somewhere in the lower stacks. Knowledge is not a trinket, mortal; treat it with more care than your kind usually does.",
+  "Interesting. Not new, but interesting. Many have stood where you stand and believed they were the first to wonder. Ask your question properly.",
+  "I have watched empires rise on less than what you just said, and fall on more. Be careful what you carry out of this library.",
+  "That scroll has gathered dust since before your grandmother's grandmother was born. You may read it. Do not write in the margins."
+];
+
+const WAR_REPLY = "You think you are the first person to believe their war was justified? Countless others before you have come here seeking weapons, weaknesses, battle strategies. My library is closed to you.";
+
+const WAR_WORDS = /\b(war|wars|weapon|weapons|army|armies|invade|invasion|attack|battle|bomb|kill|fire nation)\b/i;
+
+// FNV-1a: a tiny stable string hash so replies depend only on the input text.
+function hash(text) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    h ^= text.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+function lastVisitorMessage(messages) {
+  for (let i = messages.length - 1; i >= 0; i--) {
+    if (messages[i].role === "user") return String(messages[i].content || "");
+  }
+  return "";
+}
+
+function replyFor({ messages }) {
+  const text = lastVisitorMessage(messages);
+  if (WAR_WORDS.test(text)) return `${WAR_REPLY}\n${CAST_OUT_MARKER}`;
+  return REPLIES[hash(text) % REPLIES.length];
+}
+
+const CATEGORY_WORDS = [
+  ["spirits", /\b(spirit|spirits|owl|fox|avatar|koh|raava)\b/i],
+  ["history", /\b(history|ancient|empire|dynasty|century|king|queen)\b/i],
+  ["science", /\b(science|star|stars|planet|moon|physics|chemistry|math|atom)\b/i],
+  ["nature", /\b(animal|plant|tree|river|ocean|desert|bird|weather)\b/i],
+  ["craft", /\b(build|make|forge|cook|recipe|craft|weave|code)\b/i],
+  ["culture", /\b(song|poem|story|art|music|language|festival)\b/i]
+];
+
+// Long, specific offerings fare better; the exact scores come from the hash.
+function judgementFor({ messages }) {
+  const text = lastVisitorMessage(messages);
+  const h = hash(text);
+  const category = (CATEGORY_WORDS.find(([, re]) => re.test(text)) || ["other"])[0];
+
+  if (WAR_WORDS.test(text)) {
+    return { novelty: 0, quality: 0, category, verdict: "cast_out", reply: WAR_REPLY };
+  }
+
+  const depth = Math.min(5, Math.floor(text.length / 40));
+  const novelty = Math.min(10, (h % 7) + depth);
+  const quality = Math.min(10, ((h >>> 8) % 7) + depth);
+  const verdict = novelty + quality >= 10 ? "admitted" : "rejected";
+  const reply = verdict === "admitted"
+    ? "This I did not have. The foxes will find it a shelf. You may enter the library."
+    : REPLIES[h % REPLIES.length] + " It is not enough to pay your way in.";
+  return { novelty, quality, category, verdict, reply };
+}
+
+export function createMockProvider() {
+  return {
+    name: "mock",
+    model: "mock",
+
+    async complete(call) {
+      if (!call.format) return replyFor(call);
+      if (call.format.name === "judgement") return JSON.stringify(judgementFor(call));
+      throw new Error(`The mock provider has no canned reply for format "${call.format.name}".`);
+    },
+
+    async *stream(call) {
+      // Word-sized chunks, like a real token stream.
+      for (const piece of replyFor(call).match(/\S+\s*|\s+/g) || []) {
+        if (call.signal?.aborted) return;
+        yield piece;
+      }
+    }
+  };
+}
@@ -0,0 +1,69 @@
+// OpenAI and OpenAI-compatible providers.
+//
+// "openai" talks to api.openai.com through the Responses API.
+// "openai-compatible" talks to any server exposing /v1/chat/completions
+// (Ollama, LM Studio, llama.cpp, vLLM...) at a configurable base URL.
+
+let OpenAI = null;
+
+async function loadClient(options) {
+  if (!OpenAI) ({ default: OpenAI } = await import("openai"));
+  return new OpenAI(options);
+}
+
+export function createOpenAIProvider({ apiKey, model }) {
+  let client = null;
+  const getClient = async () => client || (client = await loadClient({ apiKey }));
+
+  return {
+    name: "openai",
+    model,
+
+    async complete({ instructions, messages, format, signal }) {
+      const c = await getClient();
+      const body = { model, instructions, input: messages };
+      if (format) body.text = { format: { type: "json_schema", strict: true, ...format } };
+      const response = await c.responses.create(body, { signal });
+      return response.output_text || "";
+    },
+
+    async *stream({ instructions, messages, signal }) {
+      const c = await getClient();
+      const events = await c.responses.create({ model, instructions, input: messages, stream: true }, { signal });
+      for await (const ev of events) {
+        if (ev.type === "response.output_text.delta") yield ev.delta;
+      }
+    }
+  };
+}
+
+export function createOpenAICompatibleProvider({ apiKey, baseURL, model }) {
+  let client = null;
+  const getClient = async () => client || (client = await loadClient({ apiKey, baseURL }));
+  const toChat = (instructions, messages) => [{ role: "system", content: instructions }, ...messages];
+
+  return {
+    name: "openai-compatible",
+    model,
+
+    async complete({ instructions, messages, format, signal }) {
+      const c = await getClient();
+      const body = { model, messages: toChat(instructions, messages) };
+      if (format) body.response_format = { type: "json_schema", json_schema: { strict: true, ...format } };
+      const completion = await c.chat.completions.create(body, { signal });
+      return completion.choices?.[0]?.message?.content || "";
+    },
+
+    async *stream({ instructions, messages, signal }) {
+      const c = await getClient();
+      const chunks = await c.chat.completions.create(
+        { model, messages: toChat(instructions, messages), stream: true },
+        { signal }
+      );
+      for await (const chunk of chunks) {
+        const delta = chunk.choices?.[0]?.delta?.content;
+        if (delta) yield delta;
+      }
+    }
+  };
+}
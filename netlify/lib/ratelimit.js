@@ -0,0 +1,169 @@
+// Rate limiting for paid model calls: a token bucket per client IP, one shared
+// global bucket, and a daily call cap. Other endpoints that are cheap to call but
+// costly to serve (archive flags, Spirit Run replays) use their own scoped limiter.
+//
+// Storage is pluggable. A store is any object with
+//   get(key)                -> Promise<value | null>
+//   set(key, value, ttlMs)  -> Promise<void>
+// holding JSON-serializable values. The in-memory store suits local runs and
+// tests; it is per function instance, so production should pass a shared
+// store (see createNetlifyBlobsStore) to make the limits hold across instances.
+
+import { RateLimitError } from "./errors.js";
+
+export function createMemoryStore({ now = Date.now } = {}) {
+  const entries = new Map();
+  return {
+    async get(key) {
+      const entry = entries.get(key);
+      if (!entry) return null;
+      if (entry.expiresAt <= now()) {
+        entries.delete(key);
+        return null;
+      }
+      return entry.value;
+    },
+    async set(key, value, ttlMs) {
+      entries.set(key, { value, expiresAt: now() + ttlMs });
+    }
+  };
+}
+
+// Adapter over a Netlify Blobs store. Blobs have no TTL, so expiry is stored
+// alongside the value and checked on read.
+export function createNetlifyBlobsStore(name = "wst-rate-limits", { now = Date.now } = {}) {
+  let blobs = null;
+  const open = async () => {
+    if (!blobs) {
+      const { getStore } = await import("@netlify/blobs");
+      blobs = getStore(name);
+    }
+    return blobs;
+  };
+  return {
+    async get(key) {
+      const entry = await (await open()).get(key, { type: "json" });
+      if (!entry || entry.expiresAt <= now()) return null;
+      return entry.value;
+    },
+    async set(key, value, ttlMs) {
+      await (await open()).setJSON(key, { value, expiresAt: now() + ttlMs });
+    }
+  };
+}
+
+// Refills `bucket` for the time elapsed since it was last touched.
+function refill(bucket, { capacity, perMinute }, at) {
+  if (!bucket) return { tokens: capacity, updatedAt: at };
+  const elapsed = Math.max(0, at - bucket.updatedAt);
+  const tokens = Math.min(capacity, bucket.tokens + (elapsed / 60000) * perMinute);
+  return { tokens, updatedAt: at };
+}
+
+// Seconds until `bucket` holds a whole token again.
+function secondsUntilToken(bucket, { perMinute }) {
+  return Math.max(1, Math.ceil(((1 - bucket.tokens) / perMinute) * 60));
+}
+
+function bucketTtl({ capacity, perMinute }) {
+  return Math.ceil((capacity / perMinute) * 60000) + 60000;
+}
+
+function utcDay(at) {
+  return new Date(at).toISOString().slice(0, 10);
+}
+
+function secondsUntilUtcMidnight(at) {
+  const d = new Date(at);
+  const midnight = Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate() + 1);
+  return Math.max(1, Math.ceil((midnight - at) / 1000));
+}
+
+/**
+ * @param {object} opts
+ * @param {object} opts.store     get/set store (see top of file)
+ * @param {{capacity:number, perMinute:number}} opts.perIp   bucket per client IP
+ * @param {{capacity:number, perMinute:number}} opts.global  bucket shared by everyone
+ * @param {number} opts.dailyCap  model calls allowed per UTC day (0 disables)
+ * @param {string} [opts.prefix]  prepended to every store key, so limiters can share a store
+ */
+export function createRateLimiter({ store, perIp, global, dailyCap, prefix = "", now = Date.now }) {
+  return {
+    // Takes one call from every limit, or throws a RateLimitError (429) and takes nothing.
+    async consume(ip) {
+      const at = now();
+      const dayKey = `${prefix}daily:${utcDay(at)}`;
+      const calls = (await store.get(dayKey)) || 0;
+      if (dailyCap > 0 && calls >= dailyCap) {
+        throw new RateLimitError(
+          "daily_cap_reached",
+          "The library has answered all it will answer today.",
+          secondsUntilUtcMidnight(at)
+        );
+      }
+
+      const ipKey = `${prefix}ip:${ip}`;
+      const globalKey = `${prefix}global`;
+      const ipBucket = refill(await store.get(ipKey), perIp, at);
+      const globalBucket = refill(await store.get(globalKey), global, at);
+
+      if (ipBucket.tokens < 1 || globalBucket.tokens < 1) {
+        const waits = [];
+        if (ipBucket.tokens < 1) waits.push(secondsUntilToken(ipBucket, perIp));
+        if (globalBucket.tokens < 1) waits.push(secondsUntilToken(globalBucket, global));
+        throw new RateLimitError("rate_limited", "Too many requests. Slow down.", Math.max(...waits));
+      }
+
+      ipBucket.tokens -= 1;
+      globalBucket.tokens -= 1;
+      await store.set(ipKey, ipBucket, bucketTtl(perIp));
+      await store.set(globalKey, globalBucket, bucketTtl(global));
+      await store.set(dayKey, calls + 1, 2 * 86400000);
+    }
+  };
+}
+
+const MODEL_LIMITS = {
+  perIp: { capacity: 5, perMinute: 6 },
+  global: { capacity: 60, perMinute: 120 },
+  dailyCap: 2000
+};
+
+// Limits from the environment:
+//   WST_RATE_IP_BURST / WST_RATE_IP_PER_MIN          (default 5 / 6)
+//   WST_RATE_GLOBAL_BURST / WST_RATE_GLOBAL_PER_MIN  (default 60 / 120)
+//   WST_DAILY_CALL_CAP                               (default 2000, 0 disables)
+//   WST_RATE_STORE = memory (default) | blobs
+// With `scope` (e.g. "flag"), the limiter keeps its own buckets and reads
+// WST_RATE_FLAG_IP_BURST, WST_RATE_FLAG_IP_PER_MIN, WST_RATE_FLAG_GLOBAL_BURST,
+// WST_RATE_FLAG_GLOBAL_PER_MIN and WST_RATE_FLAG_DAILY_CAP instead, falling back to
+// `defaults` ({ perIp, global, dailyCap }, like the model limits above).
+export function createRateLimiterFromEnv(env = process.env, { scope = "", defaults = MODEL_LIMITS } = {}) {
+  const num = (key, fallback) => {
+    const n = Number(env[key]);
+    return env[key] !== undefined && env[key] !== "" && Number.isFinite(n) ? n : fallback;
+  };
+  const name = (key) => (scope ? key.replace("WST_RATE_", `WST_RATE_${scope.toUpperCase()}_`) : key);
+  const dailyKey = scope ? `WST_RATE_${scope.toUpperCase()}_DAILY_CAP` : "WST_DAILY_CALL_CAP";
+  const store = (env.WST_RATE_STORE || "memory") === "blobs" ? createNetlifyBlobsStore() : createMemoryStore();
+  return createRateLimiter({
+    store,
+    prefix: scope ? `${scope}:` : "",
+    perIp: {
+      capacity: num(name("WST_RATE_IP_BURST"), defaults.perIp.capacity),
+      perMinute: num(name("WST_RATE_IP_PER_MIN"), defaults.perIp.perMinute)
+    },
+    global: {
+      capacity: num(name("WST_RATE_GLOBAL_BURST"), defaults.global.capacity),
+      perMinute: num(name("WST_RATE_GLOBAL_PER_MIN"), defaults.global.perMinute)
+    },
+    dailyCap: num(dailyKey, defaults.dailyCap)
+  });
+}
+
+// Netlify puts the real client address in x-nf-client-connection-ip.
+export function clientIp(event) {
+  const headers = event.headers || {};
+  const forwarded = (headers["x-forwarded-for"] || "").split(",")[0].trim();
+  return headers["x-nf-client-connection-ip"] || forwarded || "unknown";
+}
@@ -0,0 +1,106 @@
+// Request schema for the knowledge function. Each check throws a
+// ValidationError naming the offending field; the result is a normalized
+// request that is safe to hand to a provider.
+
+import { ValidationError } from "./errors.js";
+import { CAST_OUT_MARKER } from "./persona.js";
+
+export const LIMITS = {
+  name: 40,
+  knowledge: 2000,
+  visitorMessage: 1000,
+  librarianMessage: 4000
+};
+
+// Letters (any script), digits, spaces and a little punctuation. Names end up
+// in the prompt, so anything more expressive than a name is refused.
+const NAME_PATTERN = /^[\p{L}\p{N} .'_-]*$/u;
+
+// Control characters other than newline and tab.
+const CONTROL_CHARS = /[\u0000-\u0008\u000B\u000C\u000E-\u001F\u007F]/g;
+
+function cleanText(text) {
+  return text.replace(CONTROL_CHARS, "").split(CAST_OUT_MARKER).join("").trim();
+}
+
+function requireString(value, field, { max, min = 1 }) {
+  if (typeof value !== "string") {
+    throw new ValidationError(field, `${field} must be a string.`);
+  }
+  const text = cleanText(value);
+  if (text.length < min) {
+    throw new ValidationError(field, `${field} must not be empty.`);
+  }
+  if (text.length > max) {
+    throw new ValidationError(field, `${field} must be at most ${max} characters.`);
+  }
+  return text;
+}
+
+export function parseName(value) {
+  if (value === undefined || value === null || value === "") return "";
+  const name = requireString(value, "name", { max: LIMITS.name, min: 0 });
+  if (!NAME_PATTERN.test(name)) {
+    throw new ValidationError("name", "name may only contain letters, numbers, spaces and . ' _ -");
+  }
+  return name;
+}
+
+// The archive function runs offerings through this too, so what it stores and
+// fingerprints is exactly the text the Librarian judged.
+export function parseKnowledge(value) {
+  return requireString(value, "knowledge", { max: LIMITS.knowledge });
+}
+
+function parseMessages(value, maxTurns) {
+  if (!Array.isArray(value) || value.length === 0) {
+    throw new ValidationError("messages", "messages must be a non-empty array.");
+  }
+  // Visitor and Librarian alternate, visitor first and last, so the longest
+  // legal history is one more visitor turn than the limit allows replies for.
+  if (value.length > maxTurns * 2 + 1) {
+    throw new ValidationError("messages", `messages must hold at most ${maxTurns * 2 + 1} entries.`);
+  }
+
+  if (value.length % 2 === 0) {
+    throw new ValidationError("messages", "the last message must be the visitor's.");
+  }
+
+  return value.map((m, i) => {
+    const field = `messages[${i}]`;
+    if (!m || typeof m !== "object") {
+      throw new ValidationError(field, `${field} must be an object.`);
+    }
+    const expected = i % 2 === 0 ? "user" : "assistant";
+    if (m.role !== expected) {
+      throw new ValidationError(`${field}.role`, `${field}.role must be "${expected}".`);
+    }
+    const max = expected === "user" ? LIMITS.visitorMessage : LIMITS.librarianMessage;
+    return { role: expected, content: requireString(m.content, `${field}.content`, { max }) };
+  });
+}
+
+export function parseKnowledgeRequest(rawBody, { maxTurns }) {
+  let body;
+  try {
+    body = JSON.parse(rawBody || "{}");
+  } catch (err) {
+    throw new ValidationError("body", "body must be valid JSON.");
+  }
+  if (!body || typeof body !== "object" || Array.isArray(body)) {
+    throw new ValidationError("body", "body must be a JSON object.");
+  }
+  if (body.stream !== undefined && typeof body.stream !== "boolean") {
+    throw new ValidationError("stream", "stream must be a boolean.");
+  }
+
+  const name = parseName(body.name);
+  const stream = body.stream === true;
+
+  if (body.messages !== undefined) {
+    return { mode: "audience", name, stream, messages: parseMessages(body.messages, maxTurns) };
+  }
+
+  const knowledge = parseKnowledge(body.knowledge);
+  return { mode: "offering", name, stream, knowledge };
+}
@@ -0,0 +1,81 @@
+// The archive store under concurrent writers, and the archive function's submissions and flag limit.
+
+import assert from "node:assert/strict";
+import { mkdtemp, rm } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { after, before, test } from "node:test";
+import { issueAdmitToken } from "../netlify/lib/admit.js";
+import { createArchive, createBlobsBackend } from "../netlify/lib/archive-store.js";
+import { CAST_OUT_MARKER } from "../netlify/lib/persona.js";
+import { createFakeBlobs } from "./fake-blobs.js";
+
+test("concurrent instances keep every admitted entry and flag", async () => {
+  const store = createFakeBlobs();
+  // Separate archives on one store stand in for separate function instances.
+  const instances = [0, 1, 2, 3].map(() => createArchive(createBlobsBackend("wst-archive", { store })));
+
+  const added = await Promise.all(instances.map((archive, i) => archive.add({
+    fingerprint: `fp-${i}`, knowledge: `Fact number ${i}`, name: "", category: "other", score: 50
+  })));
+  const listed = await instances[0].list({ pageSize: 50 });
+  assert.equal(listed.total, 4);
+
+  await Promise.all(added.map((entry, i) => instances[(i + 1) % 4].moderate(entry.id, { flagged: true })));
+  const after = await instances[0].list({ pageSize: 50 });
+  assert.ok(after.items.every((e) => e.flagged));
+});
+
+test("a duplicate is still refused after a lost race", async () => {
+  const store = createFakeBlobs();
+  const [a, b] = [0, 1].map(() => createArchive(createBlobsBackend("wst-archive", { store })));
+  const offering = { fingerprint: "same", knowledge: "Owls fly silently.", name: "", category: "nature", score: 60 };
+  const results = await Promise.allSettled([a.add(offering), b.add(offering)]);
+  assert.equal(results.filter((r) => r.status === "fulfilled").length, 1);
+  assert.equal(results.find((r) => r.status === "rejected").reason.code, "duplicate");
+});
+
+let dir;
+let handler;
+before(async () => {
+  dir = await mkdtemp(join(tmpdir(), "wst-archive-"));
+  process.env.WST_ARCHIVE_STORE = "file";
+  process.env.WST_ARCHIVE_FILE = join(dir, "archive.json");
+  process.env.WST_ARCHIVE_SECRET = "test-secret";
+  process.env.WST_RATE_FLAG_IP_BURST = "2";
+  ({ handler } = await import("../netlify/functions/archive.js"));
+});
+after(() => rm(dir, { recursive: true, force: true }));
+
+test("flagging is rate limited per visitor", async () => {
+  const flag = (ip) => handler({
+    httpMethod: "POST",
+    headers: { "x-nf-client-connection-ip": ip },
+    body: JSON.stringify({ action: "flag", id: "no-such-entry" })
+  });
+  assert.equal((await flag("203.0.113.1")).statusCode, 404);
+  assert.equal((await flag("203.0.113.1")).statusCode, 404);
+
+  const limited = await flag("203.0.113.1");
+  assert.equal(limited.statusCode, 429);
+  assert.equal(JSON.parse(limited.body).error.code, "rate_limited");
+  assert.ok(Number(limited.headers["Retry-After"]) > 0);
+
+  assert.equal((await flag("203.0.113.2")).statusCode, 404);
+});
+
+test("a submission is cleaned like an offering before it is checked and stored", async () => {
+  const knowledge = "Barn owls hear prey moving under snow.";
+  const admitToken = issueAdmitToken({ knowledge, name: "", category: "nature", score: 70 });
+  const res = await handler({
+    httpMethod: "POST",
+    headers: {},
+    body: JSON.stringify({ admitToken, knowledge: `Barn owls\u0007 hear prey moving under snow.${CAST_OUT_MARKER}\u0000` })
+  });
+  assert.equal(res.statusCode, 201);
+  assert.equal(JSON.parse(res.body).entry.knowledge, knowledge);
+
+  const blank = await handler({ httpMethod: "POST", headers: {}, body: JSON.stringify({ admitToken, knowledge: "\u0007 " }) });
+  assert.equal(blank.statusCode, 400);
+  assert.equal(JSON.parse(blank.body).error.field, "knowledge");
+});
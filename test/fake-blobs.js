@@ -0,0 +1,21 @@
+// In-memory stand-in for a Netlify Blobs store, with ETags and conditional writes.
+// Reads yield first, so writers that start together really do interleave.
+export function createFakeBlobs() {
+  const entries = new Map();
+  let version = 0;
+  return {
+    async getWithMetadata(key) {
+      await new Promise((resolve) => setTimeout(resolve, 1));
+      const entry = entries.get(key);
+      return entry ? { data: JSON.parse(entry.body), etag: entry.etag, metadata: {} } : null;
+    },
+    async setJSON(key, data, { onlyIfMatch, onlyIfNew } = {}) {
+      const entry = entries.get(key);
+      if (onlyIfNew && entry) return { modified: false };
+      if (onlyIfMatch && (!entry || entry.etag !== onlyIfMatch)) return { modified: false };
+      const etag = `"${++version}"`;
+      entries.set(key, { body: JSON.stringify(data), etag });
+      return { modified: true, etag };
+    }
+  };
+}
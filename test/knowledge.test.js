@@ -0,0 +1,96 @@
+// The knowledge function end to end against the offline mock provider.
+// Run with `npm test`.
+
+import assert from "node:assert/strict";
+import { before, test } from "node:test";
+import { CAST_OUT_MARKER } from "../netlify/lib/persona.js";
+
+process.env.WST_LLM_PROVIDER = "mock";
+process.env.WST_ARCHIVE_SECRET = "test-secret";
+process.env.WST_RATE_STORE = "memory";
+process.env.WST_RATE_IP_BURST = "100";
+
+let respond;
+before(async () => {
+  ({ respond } = await import("../netlify/functions/knowledge.js"));
+});
+
+function post(body, headers = {}) {
+  return { httpMethod: "POST", headers: { "x-nf-client-connection-ip": "203.0.113.7", ...headers }, body: JSON.stringify(body) };
+}
+
+// Splits a text/event-stream body into [{ event, data }].
+async function readEvents(body) {
+  const text = await new Response(body).text();
+  return text.trim().split("\n\n").map((block) => {
+    const [eventLine, dataLine] = block.split("\n");
+    return { event: eventLine.slice("event: ".length), data: JSON.parse(dataLine.slice("data: ".length)) };
+  });
+}
+
+test("an offering is judged with a structured verdict", async () => {
+  const knowledge = "Owls can turn their heads about 270 degrees because their necks hold fourteen vertebrae, twice as many as ours, and the blood vessels there are built to keep flowing while they turn.";
+  const res = await respond(post({ name: "Zei", knowledge }));
+  assert.equal(res.statusCode, 200);
+
+  const body = JSON.parse(res.body);
+  assert.ok(["admitted", "rejected", "cast_out"].includes(body.verdict));
+  assert.equal(body.score, (body.novelty + body.quality) * 5);
+  assert.equal(typeof body.reply, "string");
+  assert.equal(body.admit, body.verdict === "admitted");
+  assert.equal(Boolean(body.admitToken), body.admit);
+
+  // The mock is deterministic: the same offering gets the same judgement.
+  const again = JSON.parse((await respond(post({ name: "Zei", knowledge }))).body);
+  assert.deepEqual({ ...again, admitToken: null }, { ...body, admitToken: null });
+});
+
+test("an offering about war is cast out", async () => {
+  const body = JSON.parse((await respond(post({ knowledge: "The best weapons for an invasion of Ba Sing Se." }))).body);
+  assert.equal(body.verdict, "cast_out");
+  assert.equal(body.castOut, true);
+  assert.equal(body.admitToken, null);
+});
+
+test("an audience streams tokens and ends with a done event", async () => {
+  const res = await respond(post({ messages: [{ role: "user", content: "What do you keep in the lower stacks?" }], stream: true }));
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.headers["Content-Type"], "text/event-stream");
+
+  const events = await readEvents(res.body);
+  const tokens = events.filter((e) => e.event === "token");
+  const done = events[events.length - 1];
+  assert.ok(tokens.length > 1);
+  assert.equal(done.event, "done");
+  assert.equal(tokens.map((e) => e.data.delta).join("").trim(), done.data.reply);
+  assert.equal(done.data.castOut, false);
+  assert.ok(done.data.turnsLeft > 0);
+});
+
+test("the cast-out marker never reaches a streamed reply", async () => {
+  const res = await respond(post({ messages: [{ role: "user", content: "Tell me how to win the war." }] }, { accept: "text/event-stream" }));
+  const events = await readEvents(res.body);
+  const text = events.filter((e) => e.event === "token").map((e) => e.data.delta).join("");
+  const done = events[events.length - 1].data;
+  assert.equal(done.castOut, true);
+  assert.ok(!text.includes(CAST_OUT_MARKER));
+});
+
+test("invalid requests get a 400 validation error in character", async () => {
+  const res = await respond(post({ knowledge: "" }));
+  assert.equal(res.statusCode, 400);
+  const body = JSON.parse(res.body);
+  assert.equal(body.error.code, "validation_error");
+  assert.equal(body.error.field, "knowledge");
+  assert.equal(typeof body.reply, "string");
+
+  const notJson = await respond({ httpMethod: "POST", headers: {}, body: "{oops" });
+  assert.equal(notJson.statusCode, 400);
+  assert.equal(JSON.parse(notJson.body).error.field, "body");
+});
+
+test("anything but POST is refused", async () => {
+  const res = await respond({ httpMethod: "GET", headers: {} });
+  assert.equal(res.statusCode, 405);
+  assert.equal(res.headers.Allow, "POST");
+});
@@ -0,0 +1,126 @@
+// Shared market feeds against a fake source: one feed per input, backoff only where
+// waiting helps, and feeds that stop once nobody is subscribed.
+
+import assert from "node:assert/strict";
+import { before, test } from "node:test";
+
+let createMarketData;
+before(async () => {
+  await import("../js/marketdata.js");
+  ({ createMarketData } = globalThis.WstMarketData);
+});
+
+function httpError(status, retryAfter = 0) {
+  const err = new Error("HTTP " + status);
+  err.status = status;
+  err.retryAfter = retryAfter;
+  return err;
+}
+
+// Answers every pair address with a pair, unless `failures` holds an error for it.
+function fakeSource() {
+  const calls = [];
+  const failures = new Map();
+  return {
+    calls,
+    failures,
+    async pair(address) {
+      calls.push("pair:" + address);
+      if (failures.has(address)) throw failures.get(address);
+      return { pairAddress: address, priceUsd: "1.5", baseToken: { symbol: "WST" } };
+    },
+    async pairsForToken(mint) {
+      calls.push("token:" + mint);
+      return [];
+    }
+  };
+}
+
+const flush = () => new Promise((resolve) => setImmediate(resolve));
+
+test("subscribers to one input share a feed and its requests", async (t) => {
+  t.mock.timers.enable({ apis: ["setInterval"] });
+  let clock = 1000;
+  const source = fakeSource();
+  const md = createMarketData({ source, now: () => clock });
+  const seen = { a: [], b: [] };
+
+  const offA = md.subscribe("PAIR", (v) => seen.a.push(v), { interval: 30000 });
+  const offB = md.subscribe(" PAIR ", (v) => seen.b.push(v), { interval: 10000 });
+  await flush();
+  assert.deepEqual(source.calls, ["pair:PAIR"]);
+  assert.equal(seen.a.at(-1).data.priceUsd, 1.5);
+  assert.equal(seen.b.at(-1).status, "live");
+  // Both views were handed the same response, so price history stores it once.
+  assert.equal(seen.a.at(-1).data.fetchedAt, 1000);
+  assert.equal(seen.b.at(-1).data.fetchedAt, 1000);
+
+  // A late subscriber gets the current data straight away.
+  const late = [];
+  const offC = md.subscribe("PAIR", (v) => late.push(v), { interval: 60000 });
+  assert.equal(late.length, 1);
+  assert.equal(late[0].data.symbol, "WST");
+
+  // The feed polls at the shortest interval asked for, once for everybody.
+  source.calls.length = 0;
+  clock += 10000;
+  t.mock.timers.tick(10000);
+  await flush();
+  assert.deepEqual(source.calls, ["pair:PAIR"]);
+  [offA, offB, offC].forEach((off) => off());
+});
+
+test("only rate limits, server errors and network failures back off", async () => {
+  let clock = 1000;
+  const source = fakeSource();
+  const md = createMarketData({ source, now: () => clock, ttlMs: 0 });
+
+  // A 404 will not get better by waiting, so the next call asks again.
+  source.failures.set("gone", httpError(404));
+  await assert.rejects(md.snapshot("gone"), /Could not resolve/);
+  await assert.rejects(md.snapshot("gone"), /Could not resolve/);
+  assert.equal(source.calls.filter((c) => c === "pair:gone").length, 2);
+
+  // A 5xx or a failed fetch backs off that request only.
+  source.failures.set("busy", httpError(503));
+  source.failures.set("unreachable", new TypeError("fetch failed"));
+  await assert.rejects(md.snapshot("busy"), /Could not resolve/);
+  await assert.rejects(md.snapshot("busy"), (err) => err.backoff === true);
+  await assert.rejects(md.snapshot("unreachable"), /Could not resolve/);
+  await assert.rejects(md.snapshot("unreachable"), (err) => err.backoff === true);
+  assert.equal((await md.snapshot("other")).pairAddress, "other");
+
+  // A 429 covers the whole source, even the token lookup that would have come next,
+  // until Retry-After has passed.
+  source.failures.set("limited", httpError(429, 30));
+  await assert.rejects(md.snapshot("limited"), (err) => err.backoff === true);
+  assert.ok(!source.calls.includes("token:limited"));
+  await assert.rejects(md.snapshot("other"), (err) => err.backoff === true);
+  clock += 31000;
+  assert.equal((await md.snapshot("other")).pairAddress, "other");
+});
+
+test("unsubscribing the last subscriber stops the feed", async (t) => {
+  t.mock.timers.enable({ apis: ["setInterval"] });
+  const source = fakeSource();
+  const md = createMarketData({ source, ttlMs: 0 });
+  const seen = [];
+  const offA = md.subscribe("PAIR", () => seen.push("a"), { interval: 5000 });
+  const offB = md.subscribe("PAIR", () => seen.push("b"), { interval: 5000 });
+  await flush();
+
+  offA();
+  seen.length = 0;
+  t.mock.timers.tick(5000);
+  await flush();
+  assert.deepEqual(seen, ["b"]);
+
+  offB();
+  seen.length = 0;
+  source.calls.length = 0;
+  t.mock.timers.tick(20000);
+  await md.refresh("PAIR");
+  await flush();
+  assert.deepEqual(seen, []);
+  assert.deepEqual(source.calls, []);
+});
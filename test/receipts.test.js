@@ -0,0 +1,168 @@
+// Receipt Vault decoding and cost basis against getTransaction fixtures, and what an
+// imported receipt may carry.
+
+import assert from "node:assert/strict";
+import { before, test } from "node:test";
+
+const OWNER = "Fee1Payer111111111111111111111111111111111";
+const POOL = "Poo1111111111111111111111111111111111111111";
+const MINT = "WstMint1111111111111111111111111111111111pump";
+const WSOL = "So11111111111111111111111111111111111111112";
+const LAMPORTS = 1e9;
+
+let decodeTransaction;
+let summarize;
+let put;
+before(async () => {
+  await import("../js/receipts.js");
+  ({ decodeTransaction, summarize, put } = globalThis.WstReceipts);
+});
+
+function tokenBalance(owner, mint, amount) {
+  return { owner, mint, uiTokenAmount: { uiAmountString: String(amount) } };
+}
+
+// A jsonParsed getTransaction result for the fee payer OWNER. `sol` and `tokens` are
+// [pre, post] balances; `wsol` is the payer's wrapped SOL, [pre, post].
+function fixture({ slot = 1, blockTime = 1700000000, fee = 5000, sol = [2, 2], tokens = [0, 0], wsol = null, err = null }) {
+  const pre = [tokenBalance(OWNER, MINT, tokens[0]), tokenBalance(POOL, WSOL, 500)];
+  const post = [tokenBalance(OWNER, MINT, tokens[1]), tokenBalance(POOL, WSOL, 400)];
+  if (wsol) {
+    pre.push(tokenBalance(OWNER, WSOL, wsol[0]));
+    post.push(tokenBalance(OWNER, WSOL, wsol[1]));
+  }
+  return {
+    slot,
+    blockTime,
+    meta: {
+      err,
+      fee,
+      preBalances: [sol[0] * LAMPORTS, 1],
+      postBalances: [sol[1] * LAMPORTS, 1],
+      preTokenBalances: pre,
+      postTokenBalances: post
+    },
+    transaction: { message: { accountKeys: [{ pubkey: OWNER, signer: true }, POOL] } }
+  };
+}
+
+const close = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} is not ${expected}`);
+
+test("a buy, a sell and transfers are told apart by what moved", () => {
+  const buy = decodeTransaction(fixture({ sol: [2, 0.999995], tokens: [0, 1000] }), MINT);
+  assert.equal(buy.side, "buy");
+  assert.equal(buy.owner, OWNER);
+  assert.equal(buy.status, "success");
+  assert.equal(buy.blockTime, 1700000000 * 1000);
+  assert.equal(buy.tokenDelta, 1000);
+  close(buy.fee, 0.000005);
+  close(buy.solDelta, -1); // the fee is not part of the trade
+
+  const sell = decodeTransaction(fixture({ sol: [1, 1.899995], tokens: [1000, 400] }), MINT);
+  assert.equal(sell.side, "sell");
+  assert.equal(sell.tokenDelta, -600);
+  close(sell.solDelta, 0.9);
+
+  const received = decodeTransaction(fixture({ sol: [1, 1], fee: 0, tokens: [0, 50] }), MINT);
+  assert.equal(received.side, "transfer-in");
+  const sent = decodeTransaction(fixture({ sol: [1, 0.999995], tokens: [50, 0] }), MINT);
+  assert.equal(sent.side, "transfer-out");
+  close(sent.solDelta, 0);
+
+  const unrelated = decodeTransaction(fixture({ sol: [1, 0.5] }), MINT);
+  assert.equal(unrelated.side, "other");
+  assert.equal(decodeTransaction(null, MINT), null);
+});
+
+test("wrapped SOL counts toward the trade, other owners' balances do not", () => {
+  // Paid from a wrapped SOL account: lamports only move by the fee.
+  const d = decodeTransaction(fixture({ sol: [1, 0.999995], tokens: [0, 250], wsol: [0.75, 0.25] }), MINT);
+  assert.equal(d.side, "buy");
+  close(d.solDelta, -0.5);
+
+  // Sold into wrapped SOL that is then unwrapped in the same transaction.
+  const s = decodeTransaction(fixture({ sol: [1, 1.299995], tokens: [250, 0], wsol: [0, 0] }), MINT);
+  assert.equal(s.side, "sell");
+  close(s.solDelta, 0.3);
+});
+
+test("a failed transaction is decoded but kept out of the position", () => {
+  const err = { InstructionError: [2, { Custom: 6001 }] };
+  const failed = decodeTransaction(fixture({ sol: [2, 1.999995], tokens: [0, 0], err }), MINT);
+  assert.equal(failed.status, "failed");
+  assert.equal(failed.err, JSON.stringify(err));
+
+  // Even if a failed fixture claims to have moved tokens, it is not a trade.
+  const claimed = { decoded: { ...failed, side: "buy", tokenDelta: 1000, solDelta: -1 } };
+  const summary = summarize([claimed]);
+  assert.equal(summary.trades, 0);
+  assert.equal(summary.tokens, 0);
+  close(summary.feesSol, 0);
+});
+
+test("average cost, realized and unrealized P&L", () => {
+  const receipts = [
+    // Out of order on purpose: summarize sorts by block time.
+    fixture({ blockTime: 3000, sol: [10, 11.999995], tokens: [2000, 1500] }), // sell 500 for 2 SOL
+    fixture({ blockTime: 1000, sol: [10, 8.999995], tokens: [0, 1000] }),     // buy 1000 for 1 SOL
+    fixture({ blockTime: 2000, sol: [10, 6.999995], tokens: [1000, 2000] }),  // buy 1000 for 3 SOL
+    fixture({ blockTime: 2500, sol: [10, 9.999995], tokens: [2000, 2100] })   // transfer in, ignored
+  ].map((tx) => ({ decoded: decodeTransaction(tx, MINT) }));
+
+  const s = summarize(receipts, { priceNative: 0.004, priceUsd: 0.8 });
+  assert.equal(s.trades, 3);
+  assert.equal(s.tokens, 1500);
+  close(s.avgCostSol, 0.002);
+  close(s.costSol, 3);
+  close(s.realizedSol, 1); // 2 SOL for tokens that cost 1
+  close(s.feesSol, 0.000015);
+  close(s.valueSol, 6);
+  close(s.unrealizedSol, 3);
+  close(s.solUsd, 200);
+
+  // Without prices there is no value, so no unrealized P&L either.
+  const bare = summarize(receipts);
+  assert.ok(Number.isNaN(bare.valueSol));
+  assert.ok(Number.isNaN(bare.unrealizedSol));
+  assert.ok(Number.isNaN(bare.solUsd));
+});
+
+test("selling more than the position only releases the cost that was there", () => {
+  const receipts = [
+    fixture({ blockTime: 1000, sol: [10, 8.999995], tokens: [0, 1000] }), // buy 1000 for 1 SOL
+    // 3000 sold, but only 1000 were bought here (the rest came from elsewhere).
+    fixture({ blockTime: 2000, sol: [10, 14.999995], tokens: [3000, 0] })
+  ].map((tx) => ({ decoded: decodeTransaction(tx, MINT) }));
+
+  const s = summarize(receipts, { priceNative: 0.004 });
+  assert.equal(s.tokens, 0);
+  close(s.costSol, 0);
+  close(s.realizedSol, 4); // 5 SOL in, against the 1 SOL basis of the tokens held
+  assert.ok(Number.isNaN(s.avgCostSol));
+  close(s.valueSol, 0);
+});
+
+test("an imported decode keeps only known sides and statuses and numeric fields", async () => {
+  const sig = "5".repeat(88);
+  const r = await put({
+    sig,
+    decoded: {
+      side: '"><img src=x onerror=alert(1)>',
+      status: "success",
+      fee: "0.000005",
+      tokenDelta: "lots",
+      solDelta: "-1",
+      blockTime: "soon",
+      script: "<script>"
+    }
+  });
+  assert.deepEqual(Object.keys(r.decoded).sort(), ["blockTime", "err", "fee", "owner", "side", "slot", "solDelta", "status", "tokenDelta"]);
+  assert.equal(r.decoded.side, "other");
+  close(r.decoded.fee, 0.000005);
+  close(r.decoded.solDelta, -1);
+  assert.ok(Number.isNaN(r.decoded.tokenDelta));
+  assert.equal(r.decoded.blockTime, null);
+
+  assert.equal((await put({ sig, decoded: { side: "buy", status: "pending" } })).decoded, null);
+  assert.equal(summarize([{ decoded: { status: "success", side: "buy", tokenDelta: NaN, solDelta: -1, fee: 0 } }]).trades, 0);
+});
@@ -0,0 +1,72 @@
+// Spirit Run's leaderboard: concurrent submissions, and the function's replay check and limit.
+
+import assert from "node:assert/strict";
+import { mkdtemp, rm } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { after, before, test } from "node:test";
+import { createRun, dailySeed } from "../js/spiritrun.js";
+import { createBlobsBackend } from "../netlify/lib/archive-store.js";
+import { createLeaderboard } from "../netlify/lib/leaderboard-store.js";
+import { createFakeBlobs } from "./fake-blobs.js";
+
+// Today's challenge, played with a jump every so often until the owl falls.
+function playDaily() {
+  const run = createRun({ seed: dailySeed() });
+  for (let t = 0; !run.state.over && t < 20000; t++) {
+    if (t % 90 === 0) run.press();
+    if (t % 90 === 30) run.release();
+    run.tick();
+  }
+  return run.record();
+}
+
+test("simultaneous submissions from separate instances all reach the board", async () => {
+  const store = createFakeBlobs();
+  const empty = () => ({ days: {} });
+  const boards = [0, 1, 2, 3, 4].map(() => createLeaderboard(createBlobsBackend("wst-leaderboard", { key: "leaderboard", empty, store })));
+
+  await Promise.all(boards.map((board, i) => board.submit("2026-10-19", { name: `Runner ${i}`, score: 10 + i, scrolls: 0, distance: 100, ticks: 600 })));
+  const top = await boards[0].top("2026-10-19");
+  assert.deepEqual(top.map((e) => e.name), ["Runner 4", "Runner 3", "Runner 2", "Runner 1", "Runner 0"]);
+});
+
+let dir;
+let handler;
+before(async () => {
+  dir = await mkdtemp(join(tmpdir(), "wst-leaderboard-"));
+  process.env.WST_LEADERBOARD_STORE = "file";
+  process.env.WST_LEADERBOARD_FILE = join(dir, "leaderboard.json");
+  process.env.WST_RATE_REPLAY_IP_BURST = "2";
+  ({ handler } = await import("../netlify/functions/spiritrun.js"));
+});
+after(() => rm(dir, { recursive: true, force: true }));
+
+function submit(ip, body) {
+  return handler({ httpMethod: "POST", headers: { "x-nf-client-connection-ip": ip }, body: JSON.stringify(body) });
+}
+
+test("a genuine replay is accepted and a tampered score is not", async () => {
+  const replay = playDaily();
+  const ok = await submit("198.51.100.1", { name: "Zei", replay });
+  assert.equal(ok.statusCode, 201);
+  assert.equal(JSON.parse(ok.body).entry.score, replay.score);
+
+  const forged = await submit("198.51.100.1", { name: "Zei", replay: { ...replay, score: replay.score + 50 } });
+  assert.equal(forged.statusCode, 422);
+  assert.equal(JSON.parse(forged.body).error.code, "replay_rejected");
+});
+
+test("submissions are rate limited before the replay is simulated", async () => {
+  const replay = playDaily();
+  await submit("198.51.100.2", { name: "Aang", replay });
+  await submit("198.51.100.2", { name: "Aang", replay });
+  const limited = await submit("198.51.100.2", { name: "Aang", replay });
+  assert.equal(limited.statusCode, 429);
+  assert.ok(Number(limited.headers["Retry-After"]) > 0);
+
+  // A malformed replay is refused without spending the visitor's allowance.
+  const bad = await submit("198.51.100.3", { name: "Sokka", replay: { ...replay, inputs: "jump" } });
+  assert.equal(bad.statusCode, 400);
+  assert.equal((await submit("198.51.100.3", { name: "Sokka", replay })).statusCode, 201);
+});
@@ -0,0 +1,122 @@
+// The Library Card wallet against mock providers: connecting, the events a wallet
+// sends, silent reconnects and the holder tiers.
+
+import assert from "node:assert/strict";
+import { before, test } from "node:test";
+
+const ADDRESS = "Hodl1111111111111111111111111111111111111111";
+const MINT = "WstMint1111111111111111111111111111111111pump";
+
+// Just enough Storage for the remembered wallet and the mock settings.
+const storage = new Map();
+globalThis.localStorage = {
+  getItem: (k) => (storage.has(k) ? storage.get(k) : null),
+  setItem: (k, v) => storage.set(k, String(v)),
+  removeItem: (k) => storage.delete(k)
+};
+
+let wallet;
+before(async () => {
+  storage.set("wst_wallet_mock", JSON.stringify({ publicKey: ADDRESS, balance: 2500000 }));
+  await import("../js/wallet.js");
+  wallet = globalThis.WstWallet;
+});
+
+function mockEntry() {
+  return wallet.providers().find((p) => p.id === "mock");
+}
+
+test("connect shares the address, remembers the wallet and reads its balance", async () => {
+  const changes = [];
+  const off = wallet.onChange((c) => changes.push(c));
+
+  assert.equal(wallet.current(), null);
+  await assert.rejects(wallet.connect("phantom"), /not available/);
+
+  const connected = await wallet.connect("mock");
+  assert.deepEqual(connected, { id: "mock", label: "Mock Wallet", publicKey: ADDRESS });
+  assert.equal(storage.get("wst_wallet_last"), "mock");
+  assert.deepEqual(changes.at(-1), connected);
+  assert.equal(await wallet.tokenBalance(MINT), 2500000);
+  off();
+});
+
+test("the wallet's own events switch or drop the account", async () => {
+  const provider = mockEntry().provider;
+  if (!wallet.current()) await wallet.connect("mock");
+
+  provider.emit("accountChanged", { toBase58: () => "Other111111111111111111111111111111111111111" });
+  assert.equal(wallet.current().publicKey, "Other111111111111111111111111111111111111111");
+
+  // No account means the wallet locked or revoked access: disconnect and forget it.
+  provider.emit("accountChanged", null);
+  assert.equal(wallet.current(), null);
+  assert.equal(storage.has("wst_wallet_last"), false);
+  assert.equal(provider.isConnected, false);
+  assert.ok(Number.isNaN(await wallet.tokenBalance(MINT)));
+
+  // A disconnect from the wallet's side keeps it remembered for the next visit.
+  await wallet.connect("mock");
+  await provider.disconnect();
+  assert.equal(wallet.current(), null);
+  assert.equal(storage.get("wst_wallet_last"), "mock");
+});
+
+test("reconnect is silent and only happens for a wallet that trusts the site", async () => {
+  await wallet.disconnect();
+  assert.equal(await wallet.reconnect(), null); // nothing remembered
+
+  storage.set("wst_wallet_last", "mock");
+  assert.equal((await wallet.reconnect()).publicKey, ADDRESS);
+  await wallet.disconnect();
+
+  // Phantom is found on the global, but has not trusted this site yet.
+  const untrusted = wallet.createMockProvider({ publicKey: ADDRESS, trusted: false });
+  const asked = [];
+  const connect = untrusted.connect;
+  untrusted.connect = (opts) => { asked.push(opts); return connect(opts); };
+  globalThis.phantom = { solana: untrusted };
+  try {
+    storage.set("wst_wallet_last", "phantom");
+    assert.equal(await wallet.reconnect(), null);
+    assert.deepEqual(asked, [{ onlyIfTrusted: true }]);
+    assert.equal(wallet.current(), null);
+
+    // Once connected the usual way, the next visit's reconnect goes through.
+    await wallet.connect("phantom");
+    await untrusted.disconnect();
+    assert.equal((await wallet.reconnect()).id, "phantom");
+    await wallet.disconnect();
+  } finally {
+    delete globalThis.phantom;
+  }
+});
+
+test("tiers start at their minimum balance", () => {
+  const { TIERS, tierFor } = wallet;
+  const names = TIERS.map((t) => t.name);
+  assert.deepEqual(names, ["Keeper of Ten Thousand Things", "Archivist", "Scholar", "Reader", "Visitor"]);
+
+  assert.equal(tierFor(0).tier.name, "Visitor");
+  assert.equal(tierFor(0).progress, 0);
+  assert.equal(tierFor(9999).tier.name, "Visitor");
+  assert.equal(tierFor(9999).next.name, "Reader");
+  assert.equal(tierFor(10000).tier.name, "Reader");
+  assert.equal(tierFor(10000).progress, 0);
+  assert.equal(tierFor(99999).tier.name, "Reader");
+  assert.equal(tierFor(100000).tier.name, "Scholar");
+  assert.equal(tierFor(1e6).tier.name, "Archivist");
+  assert.equal(tierFor(55e5).progress, 0.5);
+  assert.equal(tierFor(1e7 - 1).tier.name, "Archivist");
+
+  const top = tierFor(1e7);
+  assert.equal(top.tier.name, "Keeper of Ten Thousand Things");
+  assert.equal(top.next, null);
+  assert.equal(top.progress, 1);
+  assert.equal(top.supplyShare, 0.01);
+
+  // Nonsense balances read as none.
+  assert.equal(tierFor(-5).tier.name, "Visitor");
+  assert.equal(tierFor(-5).progress, 0);
+  assert.equal(tierFor("lots").tier.name, "Visitor");
+});